@@ -0,0 +1,7 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  return { pageContext: { suggestedPages: ['/', '/contact'] } }
+}
+export function render(pageContext: { suggestedPages: string[] }) {
+  return dangerouslySkipEscape(`<html><body>not found ${pageContext.suggestedPages.join(' ')}</body></html>`)
+}
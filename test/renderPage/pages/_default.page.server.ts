@@ -0,0 +1,7 @@
+// Errors are recorded instead of being logged, see the `onError()` test
+export function onError(err: Error, pageContext: { urlOriginal: string; pageId: string; errorPhase: string }) {
+  const { urlOriginal, pageId, errorPhase } = pageContext
+  const g = globalThis as { onErrorCalls?: unknown[] }
+  g.onErrorCalls = g.onErrorCalls ?? []
+  g.onErrorCalls.push({ message: err.message, urlOriginal, pageId, errorPhase })
+}
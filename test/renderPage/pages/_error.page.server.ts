@@ -0,0 +1,4 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function render(pageContext: { statusCode: number }) {
+  return dangerouslySkipEscape(`<html><body>error ${pageContext.statusCode}</body></html>`)
+}
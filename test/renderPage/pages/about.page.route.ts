@@ -0,0 +1,2 @@
+export default ['/about', '/about-us', '/a-propos']
+export const canonical = true
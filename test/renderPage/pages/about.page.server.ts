@@ -0,0 +1,4 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function render(pageContext: { routeString: string }) {
+  return dangerouslySkipEscape(`<html><body>about ${pageContext.routeString}</body></html>`)
+}
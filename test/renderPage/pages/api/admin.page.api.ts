@@ -0,0 +1,22 @@
+import { RenderErrorPage } from 'vite-plugin-ssr'
+export function guard(pageContext: { headers?: Record<string, string> }) {
+  if (!pageContext.headers?.authorization) {
+    throw RenderErrorPage({ statusCode: 403 })
+  }
+}
+export const hooksTimeout = { POST: { error: 100 } }
+export function GET() {
+  return 'admin'
+}
+// Never resolves: it's aborted by the hooks timeout
+export function POST(pageContext: { abortSignal: AbortSignal }) {
+  return new Promise((resolve) => {
+    pageContext.abortSignal.addEventListener('abort', () => {
+      ;(globalThis as { adminPostAborted?: boolean }).adminPostAborted = true
+      resolve('aborted')
+    })
+  })
+}
+export function DELETE() {
+  throw new Error('Deletion failed')
+}
@@ -0,0 +1,13 @@
+export function GET(pageContext: { routeParams: Record<string, string> }) {
+  return { productId: pageContext.routeParams.productId }
+}
+export function POST() {
+  return 'created'
+}
+export function PUT(pageContext: { routeParams: Record<string, string> }) {
+  const { productId } = pageContext.routeParams
+  return { statusCode: 201, headers: { Location: `/api/products/${productId}` }, body: { productId } }
+}
+export function PATCH() {
+  return { statusCode: 400, body: 'invalid' }
+}
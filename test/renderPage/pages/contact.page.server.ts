@@ -0,0 +1,5 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export const httpMethods = ['GET', 'POST']
+export function render(pageContext: { httpMethod: string }) {
+  return dangerouslySkipEscape(`<html><body>${pageContext.httpMethod}</body></html>`)
+}
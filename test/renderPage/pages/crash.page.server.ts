@@ -0,0 +1,7 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  throw new Error('Crash')
+}
+export function render() {
+  return dangerouslySkipEscape('<html><body>crash</body></html>')
+}
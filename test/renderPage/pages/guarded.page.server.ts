@@ -0,0 +1,14 @@
+import { dangerouslySkipEscape, RenderErrorPage } from 'vite-plugin-ssr'
+export function guard(pageContext: { headers?: Record<string, string> }) {
+  if (!pageContext.headers?.authorization) {
+    throw RenderErrorPage({ statusCode: 403 })
+  }
+}
+export function onBeforeRender(pageContext: { headers?: Record<string, string> }) {
+  if (!pageContext.headers?.authorization) {
+    throw new Error('Should never be called')
+  }
+}
+export function render() {
+  return dangerouslySkipEscape('<html><body>guarded</body></html>')
+}
@@ -0,0 +1,10 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  return { pageContext: { headersResponse: { 'Cache-Control': 'no-cache' } } }
+}
+export function render() {
+  return {
+    documentHtml: dangerouslySkipEscape('<html><body>headers</body></html>'),
+    pageContext: { headersResponse: { 'Set-Cookie': ['a=1', 'b=2'] } }
+  }
+}
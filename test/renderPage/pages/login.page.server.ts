@@ -0,0 +1,7 @@
+import { RenderRedirect } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  return { pageContext: { headersResponse: { 'Set-Cookie': 'session=1' } } }
+}
+export function render() {
+  throw RenderRedirect('/', 302)
+}
@@ -0,0 +1,7 @@
+import { RenderRedirect } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  throw RenderRedirect('/', 301)
+}
+export function render() {
+  throw new Error('Should never be called')
+}
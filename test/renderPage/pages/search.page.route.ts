@@ -0,0 +1,3 @@
+// Only `GET` requests are routed to the search page
+export default (pageContext: { urlPathname: string; httpMethod: string }) =>
+  pageContext.urlPathname === '/search' && pageContext.httpMethod !== 'POST'
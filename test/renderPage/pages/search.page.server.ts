@@ -0,0 +1,4 @@
+import { dangerouslySkipEscape } from 'vite-plugin-ssr'
+export function render() {
+  return dangerouslySkipEscape('<html><body>search</body></html>')
+}
@@ -0,0 +1,4 @@
+export function render() {
+  const body = '<?xml version="1.0" encoding="UTF-8"?><urlset><url><loc>/</loc></url></urlset>'
+  return { body, contentType: 'application/xml' }
+}
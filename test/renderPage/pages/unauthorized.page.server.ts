@@ -0,0 +1,7 @@
+import { RenderErrorPage } from 'vite-plugin-ssr'
+export function onBeforeRender() {
+  throw RenderErrorPage({ statusCode: 401 })
+}
+export function render() {
+  throw new Error('Should never be called')
+}
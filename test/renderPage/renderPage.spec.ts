@@ -1,5 +1,14 @@
 import { renderPage } from 'vite-plugin-ssr'
+import { getUrl } from 'vite-plugin-ssr/routing'
+import { createHandler } from 'vite-plugin-ssr/server/node-http'
+import { createFetchHandler } from 'vite-plugin-ssr/server/fetch'
+import { createHandler as createHandlerExpress } from 'vite-plugin-ssr/server/express'
+import { createHandler as createHandlerFastify } from 'vite-plugin-ssr/server/fastify'
+import { createHandler as createHandlerKoa } from 'vite-plugin-ssr/server/koa'
 import { createServer } from 'vite'
+import http from 'http'
+import { Stream } from 'stream'
+import type { AddressInfo } from 'net'
 import { expect, describe, it, beforeAll } from 'vitest'
 
 beforeAll(async () => {
@@ -24,6 +33,442 @@ describe('renderPage()', () => {
     }
     */
   })
+  it('pageContext.headersResponse', async () => {
+    // Request headers passed to `renderPage()` aren't sent back
+    const pageContext = await renderPage({ urlOriginal: '/headers', headers: { cookie: 'secret' } })
+    expect(pageContext.headers).toEqual({ cookie: 'secret' })
+    const { statusCode, headers } = pageContext.httpResponse
+    expect(statusCode).toBe(200)
+    expect(headers).toEqual([
+      ['Cache-Control', 'no-cache'],
+      ['Set-Cookie', 'a=1'],
+      ['Set-Cookie', 'b=2'],
+      ['ETag', expect.any(String)]
+    ])
+  })
+  it('httpResponse.timings', async () => {
+    const { timings, serverTiming } = (await renderPage({ urlOriginal: '/' })).httpResponse
+    expect(timings.map(({ name }) => name)).toEqual([
+      'initializePageContext',
+      'route',
+      'loadPageFiles',
+      'guard',
+      'onBeforeRender',
+      'render',
+      'injectAssets'
+    ])
+    timings.forEach(({ duration }) => expect(duration).toBeGreaterThanOrEqual(0))
+    expect(serverTiming).toMatch(/^initializePageContext;dur=[\d.]+, route;dur=[\d.]+, /)
+  })
+  it('ETag', async () => {
+    for (const urlOriginal of ['/', '/index.pageContext.json']) {
+      const { httpResponse } = await renderPage({ urlOriginal })
+      const etag = httpResponse.headers.find(([name]) => name === 'ETag')![1]
+      expect(etag).toMatch(/^W\/"[0-9a-z]+-[0-9a-z]+"$/)
+      {
+        const { statusCode, body } = (await renderPage({ urlOriginal, headers: { 'if-none-match': etag } }))
+          .httpResponse
+        expect(statusCode).toBe(304)
+        expect(body).toBe('')
+      }
+      // `If-None-Match` uses the weak comparison
+      {
+        const { statusCode } = (
+          await renderPage({ urlOriginal, headers: { 'if-none-match': etag.slice('W/'.length) } })
+        ).httpResponse
+        expect(statusCode).toBe(304)
+      }
+      {
+        const { statusCode } = (await renderPage({ urlOriginal, headers: { 'if-none-match': '"outdated"' } }))
+          .httpResponse
+        expect(statusCode).toBe(200)
+      }
+    }
+  })
+  it('RenderRedirect()', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/redirect' })
+      const { body, statusCode, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(301)
+      expect(headers).toEqual([['Location', '/']])
+      expect(body).toBe('')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/redirect/index.pageContext.json' })
+      const { body, statusCode, contentType } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(contentType).toBe('application/json')
+      expect(body).toBe('{"serverSideRedirect":{"url":"/","statusCode":301}}')
+    }
+    // Headers set by hooks before the redirect are kept
+    {
+      const pageContext = await renderPage({ urlOriginal: '/login' })
+      const { statusCode, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(302)
+      expect(headers).toEqual([
+        ['Set-Cookie', 'session=1'],
+        ['Location', '/']
+      ])
+    }
+  })
+  it('route string aliases', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/about' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(body).toContain('<body>about /about')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/a-propos?lang=fr' })
+      const { statusCode, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(301)
+      expect(headers).toEqual([['Location', '/about?lang=fr']])
+    }
+  })
+  it('getUrl()', async () => {
+    expect(await getUrl('/pages/contact')).toBe('/contact')
+    expect(await getUrl('/pages/about', {}, { search: { lang: 'fr' }, hash: 'team' })).toBe('/about?lang=fr#team')
+    await expect(getUrl('/pages/does-not-exist')).rejects.toThrow('Unknown page ID `/pages/does-not-exist`')
+  })
+  it('RenderErrorPage({ statusCode })', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/unauthorized' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(401)
+      expect(body).toContain('error 401')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/unauthorized/index.pageContext.json' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(401)
+      expect(body).toContain('"statusCode":401')
+      expect(body).toContain('"is404":false')
+    }
+  })
+  it('_404.page.js', async () => {
+    const pageContext = await renderPage({ urlOriginal: '/does-not-exist' })
+    const { body, statusCode } = pageContext.httpResponse
+    expect(statusCode).toBe(404)
+    expect(body).toContain('not found / /contact')
+  })
+  it('guard()', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/guarded' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(403)
+      expect(body).toContain('error 403')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/guarded', headers: { authorization: 'secret' } })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(body).toContain('guarded')
+    }
+  })
+  it('non-HTML pages', async () => {
+    const pageContext = await renderPage({ urlOriginal: '/sitemap.xml' })
+    const { body, statusCode, contentType } = pageContext.httpResponse
+    expect(statusCode).toBe(200)
+    expect(contentType).toBe('application/xml')
+    expect(body).toBe('<?xml version="1.0" encoding="UTF-8"?><urlset><url><loc>/</loc></url></urlset>')
+  })
+  it('API routes', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42' })
+      const { body, statusCode, contentType } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(contentType).toBe('application/json')
+      expect(JSON.parse(body)).toEqual({ productId: '42' })
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42', method: 'POST' })
+      const { body, contentType } = pageContext.httpResponse
+      expect(contentType).toBe('text/plain;charset=utf-8')
+      expect(body).toBe('created')
+    }
+    // `{ statusCode, headers, body }`
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42', method: 'PUT' })
+      const { body, statusCode, contentType, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(201)
+      expect(contentType).toBe('application/json')
+      expect(headers).toEqual([['Location', '/api/products/42']])
+      expect(JSON.parse(body)).toEqual({ productId: '42' })
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42', method: 'PATCH' })
+      const { body, statusCode, contentType } = pageContext.httpResponse
+      expect(statusCode).toBe(400)
+      expect(contentType).toBe('text/plain;charset=utf-8')
+      expect(body).toBe('invalid')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42', method: 'DELETE' })
+      const { statusCode, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(405)
+      expect(headers).toEqual([['Allow', 'GET, HEAD, POST, PUT, PATCH']])
+    }
+    // API routes aren't client-side navigable
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/products/42/index.pageContext.json' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(404)
+      expect(body).not.toContain('productId')
+    }
+  })
+  it('API routes: guard(), hooks timeout and errors', async () => {
+    const g = globalThis as { onErrorCalls?: unknown[]; adminPostAborted?: boolean }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/admin' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(403)
+      expect(body).toContain('error 403')
+    }
+    const headers = { authorization: 'secret' }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/admin', headers })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(body).toBe('admin')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/admin', method: 'DELETE', headers })
+      const { body, statusCode, contentType } = pageContext.httpResponse
+      expect(statusCode).toBe(500)
+      expect(contentType).toBe('text/plain;charset=utf-8')
+      expect(body).toBe('Internal Server Error')
+      expect(pageContext.errorWhileRendering).toMatchObject({ message: 'Deletion failed' })
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/api/admin', method: 'POST', headers })
+      expect(pageContext.httpResponse.statusCode).toBe(500)
+      expect(g.adminPostAborted).toBe(true)
+    }
+    expect(g.onErrorCalls).toEqual([
+      { message: 'Deletion failed', urlOriginal: '/api/admin', pageId: '/pages/api/admin', errorPhase: null },
+      {
+        message: expect.stringContaining("Hook timeout: the POST() hook of /pages/api/admin.page.api.ts didn't finish"),
+        urlOriginal: '/api/admin',
+        pageId: '/pages/api/admin',
+        errorPhase: null
+      }
+    ])
+    g.onErrorCalls = []
+  })
+  it('pageContext.httpMethod', async () => {
+    {
+      const pageContext = await renderPage({ urlOriginal: '/contact', method: 'post' })
+      expect(pageContext.httpMethod).toBe('POST')
+      expect(pageContext.httpResponse.body).toContain('<body>POST')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/contact', method: 'HEAD' })
+      const { body, statusCode, contentType } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(contentType).toBe('text/html;charset=utf-8')
+      expect(body).toBe('')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/contact', method: 'DELETE' })
+      const { statusCode, headers } = pageContext.httpResponse
+      expect(statusCode).toBe(405)
+      expect(headers).toEqual([['Allow', 'GET, HEAD, POST']])
+    }
+    // Route Functions can route on `pageContext.httpMethod`
+    {
+      const pageContext = await renderPage({ urlOriginal: '/search' })
+      const { body, statusCode } = pageContext.httpResponse
+      expect(statusCode).toBe(200)
+      expect(body).toContain('<body>search')
+    }
+    {
+      const pageContext = await renderPage({ urlOriginal: '/search', method: 'POST' })
+      expect(pageContext.httpResponse.statusCode).toBe(404)
+    }
+  })
+  it('pageContextInit.abortSignal', async () => {
+    // E.g. a server-wide signal that outlives the requests
+    const { signal } = new AbortController()
+    const listeners = new Set<unknown>()
+    const addEventListener = signal.addEventListener.bind(signal)
+    const removeEventListener = signal.removeEventListener.bind(signal)
+    signal.addEventListener = (type: string, listener: never, options?: AddEventListenerOptions) => {
+      listeners.add(listener)
+      addEventListener(type, listener, options)
+    }
+    signal.removeEventListener = (type: string, listener: never) => {
+      listeners.delete(listener)
+      removeEventListener(type, listener)
+    }
+    await renderPage({ urlOriginal: '/', abortSignal: signal })
+    // The error page is rendered with its own abort controller
+    await renderPage({ urlOriginal: '/guarded', abortSignal: signal })
+    expect(listeners.size).toBe(0)
+  })
+  it('onError()', async () => {
+    const pageContext = await renderPage({ urlOriginal: '/crash' })
+    expect(pageContext.httpResponse.statusCode).toBe(500)
+    expect((globalThis as { onErrorCalls?: unknown[] }).onErrorCalls).toEqual([
+      { message: 'Crash', urlOriginal: '/crash', pageId: '/pages/crash', errorPhase: 'onBeforeRender' }
+    ])
+  })
+  it('server adapter: node:http', async () => {
+    const server = await listen(createHandler())
+    try {
+      {
+        const res = await request(server.port, '/headers')
+        expect(res.statusCode).toBe(200)
+        expect(res.headers['content-type']).toBe('text/html;charset=utf-8')
+        expect(res.headers['cache-control']).toBe('no-cache')
+        expect(res.headers['set-cookie']).toEqual(['a=1', 'b=2'])
+        expect(res.body).toContain('headers')
+      }
+      {
+        const res = await request(server.port, '/', 'HEAD')
+        expect(res.statusCode).toBe(200)
+        expect(res.body).toBe('')
+      }
+      {
+        const res = await request(server.port, '/redirect')
+        expect(res.statusCode).toBe(301)
+        expect(res.headers['location']).toBe('/')
+      }
+      // The request headers are forwarded to `renderPage()`
+      {
+        const { etag } = (await request(server.port, '/')).headers
+        expect(etag).toBeTruthy()
+        const res = await request(server.port, '/', 'GET', { 'if-none-match': etag! })
+        expect(res.statusCode).toBe(304)
+        expect(res.body).toBe('')
+      }
+    } finally {
+      server.close()
+    }
+  })
+  it('server adapter: Express', async () => {
+    const handler = createHandlerExpress()
+    const server = await listen((req, res) => {
+      // Express adds `req.originalUrl`
+      handler(Object.assign(req, { originalUrl: req.url! }), res, () => {
+        res.statusCode = 404
+        res.end('next()')
+      })
+    })
+    try {
+      {
+        const res = await request(server.port, '/headers')
+        expect(res.statusCode).toBe(200)
+        expect(res.headers['set-cookie']).toEqual(['a=1', 'b=2'])
+        expect(res.body).toContain('headers')
+      }
+      {
+        const res = await request(server.port, '/redirect')
+        expect(res.statusCode).toBe(301)
+        expect(res.headers['location']).toBe('/')
+      }
+    } finally {
+      server.close()
+    }
+  })
+  it('server adapter: Fastify', async () => {
+    const handler = createHandlerFastify()
+    // Implements the subset of Fastify's `reply` API that the adapter uses
+    const server = await listen(async (req, res) => {
+      const reply: Parameters<typeof handler>[1] = {
+        raw: res,
+        code: (statusCode) => ((res.statusCode = statusCode), reply),
+        header: (name, value) => (res.setHeader(name, value), reply),
+        send: (payload) => (payload instanceof Stream ? payload.pipe(res) : res.end(payload), reply),
+        callNotFound: () => {
+          res.statusCode = 404
+          res.end()
+        }
+      }
+      await handler({ raw: req, url: req.url! }, reply)
+    })
+    try {
+      {
+        const res = await request(server.port, '/headers')
+        expect(res.statusCode).toBe(200)
+        expect(res.headers['content-type']).toBe('text/html;charset=utf-8')
+        expect(res.headers['set-cookie']).toEqual(['a=1', 'b=2'])
+        expect(res.body).toContain('headers')
+      }
+      {
+        const res = await request(server.port, '/unauthorized')
+        expect(res.statusCode).toBe(401)
+        expect(res.body).toContain('error 401')
+      }
+      {
+        const res = await request(server.port, '/', 'HEAD')
+        expect(res.statusCode).toBe(200)
+        expect(res.body).toBe('')
+      }
+    } finally {
+      server.close()
+    }
+  })
+  it('server adapter: Koa', async () => {
+    const handler = createHandlerKoa()
+    // Implements the subset of Koa's `ctx` API that the adapter uses
+    const server = await listen(async (req, res) => {
+      const ctx: Parameters<typeof handler>[0] = {
+        req,
+        res,
+        originalUrl: req.url!,
+        method: req.method!,
+        status: 404,
+        body: undefined,
+        set: (name, value) => res.setHeader(name, value)
+      }
+      await handler(ctx, async () => {})
+      res.statusCode = ctx.status
+      ctx.body instanceof Stream ? ctx.body.pipe(res) : res.end()
+    })
+    try {
+      {
+        const res = await request(server.port, '/headers')
+        expect(res.statusCode).toBe(200)
+        expect(res.headers['cache-control']).toBe('no-cache')
+        expect(res.headers['set-cookie']).toEqual(['a=1', 'b=2'])
+        expect(res.body).toContain('headers')
+      }
+      {
+        const res = await request(server.port, '/redirect')
+        expect(res.statusCode).toBe(301)
+        expect(res.headers['location']).toBe('/')
+      }
+      {
+        const res = await request(server.port, '/', 'HEAD')
+        expect(res.statusCode).toBe(200)
+        expect(res.body).toBe('')
+      }
+    } finally {
+      server.close()
+    }
+  })
+  // The Fetch API is only available in Node.js >= 18
+  it.skipIf(typeof Response === 'undefined')('fetch handler', async () => {
+    const handler = createFetchHandler({
+      fetchAsset: (request) => (new URL(request.url).pathname === '/robots.txt' ? new Response('User-agent: *') : null)
+    })
+    {
+      const response = await handler(new Request('http://localhost/headers'))
+      expect(response.status).toBe(200)
+      expect(response.headers.get('Content-Type')).toBe('text/html;charset=utf-8')
+      expect(response.headers.get('Cache-Control')).toBe('no-cache')
+      expect(await response.text()).toContain('<body>headers')
+    }
+    {
+      const response = await handler(new Request('http://localhost/robots.txt'))
+      expect(await response.text()).toBe('User-agent: *')
+    }
+    {
+      const response = await handler(new Request('http://localhost/', { method: 'HEAD' }))
+      expect(response.status).toBe(200)
+      expect(response.body).toBe(null)
+    }
+  })
 })
 
 async function createDevServer() {
@@ -32,3 +477,22 @@ async function createDevServer() {
     server: { middlewareMode: true }
   })
 }
+
+async function listen(handler: http.RequestListener) {
+  const server = http.createServer(handler)
+  await new Promise<void>((resolve) => server.listen(0, resolve))
+  const { port } = server.address() as AddressInfo
+  return { port, close: () => server.close() }
+}
+
+function request(port: number, path: string, method = 'GET', headers: http.OutgoingHttpHeaders = {}) {
+  return new Promise<{ statusCode?: number; headers: http.IncomingHttpHeaders; body: string }>((resolve, reject) => {
+    const req = http.request({ port, path, method, headers }, (res) => {
+      let body = ''
+      res.on('data', (chunk) => (body += chunk))
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }))
+    })
+    req.on('error', reject)
+    req.end()
+  })
+}
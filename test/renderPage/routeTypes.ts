@@ -0,0 +1,56 @@
+// Type-level tests of the `routeTypes` config, see `$ pnpm test:types`
+import { navigate } from 'vite-plugin-ssr/client/router'
+import { getUrl } from 'vite-plugin-ssr/routing'
+import type { PageContextWithRouteParams } from 'vite-plugin-ssr/routing'
+import type { PageContextBuiltInClient } from 'vite-plugin-ssr/client/router'
+
+// Same as the `.d.ts` file generated by the `routeTypes` config
+declare global {
+  namespace VitePluginSsr {
+    interface Routes {
+      '/pages/index': Record<string, never>
+      '/pages/product': { id: string; view?: string }
+    }
+  }
+}
+
+export async function testNavigate() {
+  await navigate('/product/42')
+  await navigate({ pageId: '/pages/index' })
+  await navigate({ pageId: '/pages/product', routeParams: { id: '42' } })
+  await navigate({ pageId: '/pages/product', routeParams: { id: '42', view: 'reviews' }, search: { lang: 'fr' } })
+  // @ts-expect-error Unknown page ID
+  await navigate({ pageId: '/pages/does-not-exist' })
+  // @ts-expect-error Missing route parameter `id`
+  await navigate({ pageId: '/pages/product', routeParams: {} })
+  // @ts-expect-error Unknown route parameter `productId`
+  await navigate({ pageId: '/pages/product', routeParams: { productId: '42' } })
+  // @ts-expect-error The page `/pages/index` doesn't have any route parameter
+  await navigate({ pageId: '/pages/index', routeParams: { id: '42' } })
+}
+
+export async function testGetUrl() {
+  const url: string = await getUrl('/pages/product', { id: '42' })
+  // @ts-expect-error Unknown page ID
+  await getUrl('/pages/does-not-exist')
+  // @ts-expect-error Wrong route parameter type
+  await getUrl('/pages/product', { id: 42 })
+  return url
+}
+
+export function testPageContext(pageContext: PageContextWithRouteParams<'/pages/product'>) {
+  const id: string = pageContext.routeParams.id
+  const view: string | undefined = pageContext.routeParams.view
+  // @ts-expect-error Unknown route parameter `productId`
+  pageContext.routeParams.productId
+  const { urlOriginal } = pageContext
+  return { id, view, urlOriginal }
+}
+
+export function testPageContextClient(
+  pageContext: PageContextWithRouteParams<'/pages/product', PageContextBuiltInClient>
+) {
+  const id: string = pageContext.routeParams.id
+  const isHydration: boolean = pageContext.isHydration
+  return { id, isHydration }
+}
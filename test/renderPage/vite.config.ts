@@ -1,4 +1,4 @@
 import ssr from 'vite-plugin-ssr/plugin'
 export default {
-  plugins: [ssr()]
+  plugins: [ssr({ etag: true })]
 }
@@ -2,11 +2,14 @@ export { getGlobalContext }
 
 import { getPageFilesAll } from '../../shared/getPageFiles'
 import { getBaseUrl } from '../getBaseUrl'
+import { setGetUrlContext } from '../../shared/route/getUrl'
 import { assertBaseUrl, PromiseType, objectAssign, getGlobalObject } from './utils'
 const globalObject = getGlobalObject<{
   globalContext?: PromiseType<ReturnType<typeof retrieveGlobalContext>>
 }>('getGlobalContext.ts', {})
 
+setGetUrlContext(getGlobalContext)
+
 async function getGlobalContext() {
   if (!globalObject.globalContext) {
     globalObject.globalContext = await retrieveGlobalContext()
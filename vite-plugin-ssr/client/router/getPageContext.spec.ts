@@ -0,0 +1,65 @@
+import { expect, describe, it, vi, beforeAll } from 'vitest'
+import { stringify } from '@brillout/json-serializer/stringify'
+import { getPageFile } from '../../shared/getPageFiles/getPageFileObject.spec-utils'
+import type { PageFile } from '../../shared/getPageFiles'
+
+let getPageContext: typeof import('./getPageContext').getPageContext
+beforeAll(async () => {
+  // The client-side router reads the current URL upon import
+  vi.stubGlobal('window', { location: { href: 'http://localhost/' } })
+  getPageContext = (await import('./getPageContext')).getPageContext
+})
+
+function stubFetch(pageContextFromServer: Record<string, unknown>) {
+  const urls: string[] = []
+  globalThis.fetch = (async (url: string) => {
+    urls.push(url)
+    return {
+      status: 200,
+      headers: { get: () => 'application/json' },
+      text: async () => stringify({ pageContext: pageContextFromServer })
+    }
+  }) as unknown as typeof fetch
+  return urls
+}
+
+async function navigate(urlOriginal: string, pageFilesAll: PageFile[]) {
+  const pageContext = {
+    urlOriginal,
+    httpMethod: 'GET',
+    _isFirstRenderAttempt: false,
+    isBackwardNavigation: false,
+    _baseUrl: '/',
+    _urlProcessor: null,
+    _pageFilesAll: pageFilesAll,
+    _allPageIds: [...new Set(pageFilesAll.filter((p) => !p.isDefaultPageFile).map((p) => p.pageId))]
+  }
+  return (await getPageContext(pageContext as Parameters<typeof getPageContext>[0])) as Record<string, unknown>
+}
+
+describe('getPageContext()', () => {
+  it('server-side guard() and client-side onBeforeRender()', async () => {
+    const urls = stubFetch({ _pageId: '/pages/admin', user: 'alice' })
+    const pageContext = await navigate('/admin', [
+      getPageFile('/pages/admin.page.server.js', { guard: () => {} }),
+      getPageFile('/pages/admin.page.client.js', {
+        onBeforeRender: (pageContext: { user: string }) => ({ pageContext: { greeting: `hello ${pageContext.user}` } })
+      })
+    ])
+    // The server ran `guard()`
+    expect(urls).toEqual(['/admin/index.pageContext.json'])
+    // The client-side `onBeforeRender()` hook isn't skipped
+    expect(pageContext.greeting).toBe('hello alice')
+    expect(pageContext._comesDirectlyFromServer).toBe(false)
+  })
+  it('client-side onBeforeRender() without server-side guard()', async () => {
+    const urls = stubFetch({})
+    const pageContext = await navigate('/about', [
+      getPageFile('/pages/about.page.client.js', {
+        onBeforeRender: () => ({ pageContext: { greeting: 'hello' } })
+      })
+    ])
+    expect(urls).toEqual([])
+    expect(pageContext.greeting).toBe('hello')
+  })
+})
@@ -11,16 +11,24 @@ import {
 } from './utils'
 import { parse } from '@brillout/json-serializer/parse'
 import { getPageContextSerializedInHtml } from '../getPageContextSerializedInHtml'
-import type { PageContextExports, PageFile } from '../../shared/getPageFiles'
+import { getApiPageFile, PageContextExports, PageFile } from '../../shared/getPageFiles'
 import { analyzePageServerSide } from '../../shared/getPageFiles/analyzePageServerSide'
 import type { PageContextUrls } from '../../shared/addComputedUrlProps'
 import { assertHookResult } from '../../shared/assertHookResult'
-import { getErrorPageId, PageContextForRoute, route } from '../../shared/route'
-import { getHook } from '../../shared/getHook'
+import {
+  getErrorPageId,
+  isErrorPageId,
+  is404PageId,
+  PageContextForRoute,
+  route,
+  RouteParamsCoerced
+} from '../../shared/route'
+import { getHook, getHooksTimeout } from '../../shared/getHook'
 import { releasePageContext } from './releasePageContext'
 import { loadPageFilesClientSide } from '../loadPageFilesClientSide'
 import { removeBuiltInOverrides } from './getPageContext/removeBuiltInOverrides'
 import { getPageContextRequestUrl } from '../../shared/getPageContextRequestUrl'
+import { RenderRedirect, RedirectStatusCode } from '../../shared/RenderRedirect'
 
 export { getPageContext }
 export { getPageContextErrorPage }
@@ -36,6 +44,8 @@ type PageContextAddendum = {
 type PageContextPassThrough = PageContextUrls &
   PageContextForRoute & {
     isBackwardNavigation: boolean | null
+    abortSignal?: AbortSignal
+    _abortController?: null | AbortController
   }
 
 async function getPageContext(
@@ -73,18 +83,27 @@ async function getPageContextFirstRender(pageContext: {
   return pageContextAddendum
 }
 
-async function getPageContextErrorPage(pageContext: {
-  urlOriginal: string
-  _allPageIds: string[]
-  _isFirstRenderAttempt: boolean
-  _pageFilesAll: PageFile[]
-}): Promise<PageContextAddendum> {
-  const errorPageId = getErrorPageId(pageContext._allPageIds)
+async function getPageContextErrorPage(
+  pageContext: {
+    _isFirstRenderAttempt: boolean
+  } & PageContextPassThrough,
+  err: unknown
+): Promise<PageContextAddendum> {
+  const is404 = hasProp(err, '_isNoRouteMatch', 'true')
+  // We don't know which page failed: we use the URL to find the nearest `_error.page.js`
+  const errorPageId = getErrorPageId(pageContext._allPageIds, {
+    pageId: null,
+    urlPathname: pageContext.urlPathname,
+    is404
+  })
   if (!errorPageId) {
     throw new Error('No error page')
   }
   const pageContextAddendum = {
     isHydration: false,
+    is404,
+    // Same as the server-side: `404` if no page matches the URL, otherwise `500`
+    statusCode: is404 ? 404 : 500,
     _pageId: errorPageId,
     _pageContextRetrievedFromServer: null,
     _comesDirectlyFromServer: false
@@ -95,6 +114,12 @@ async function getPageContextErrorPage(pageContext: {
     await loadPageFilesClientSide(pageContext._pageFilesAll, pageContextAddendum._pageId)
   )
 
+  // `_404.page.js` can have its own `onBeforeRender()` hook, e.g. to fetch suggested pages
+  if (is404PageId(errorPageId)) {
+    const pageContextFromHook = await onBeforeRenderExecute({ ...pageContext, ...pageContextAddendum })
+    objectAssign(pageContextAddendum, pageContextFromHook)
+  }
+
   return pageContextAddendum
 }
 
@@ -112,6 +137,8 @@ async function getPageContextUponNavigation(
     await loadPageFilesClientSide(pageContext._pageFilesAll, pageContextAddendum._pageId)
   )
 
+  await executeGuardHook({ ...pageContext, ...pageContextAddendum })
+
   const pageContextFromHook = await onBeforeRenderExecute({ ...pageContext, ...pageContextAddendum })
   assert([true, false].includes(pageContextFromHook._comesDirectlyFromServer))
   if (!pageContextFromHook['_isError']) {
@@ -122,12 +149,15 @@ async function getPageContextUponNavigation(
 
     assert(pageContextFromHook._comesDirectlyFromServer === true)
     assert(hasProp(pageContextFromHook, 'is404', 'boolean'))
+    assert(hasProp(pageContextFromHook, 'statusCode', 'number'))
     assert(hasProp(pageContextFromHook, 'pageProps', 'object'))
     assert(hasProp(pageContextFromHook.pageProps, 'is404', 'boolean'))
     // When the user hasn't define a `_error.page.js` file: the mechanism with `serverSideError: true` is used instead
     assert(!('serverSideError' in pageContextFromHook))
-    const errorPageId = getErrorPageId(pageContext._allPageIds)
-    assert(errorPageId)
+    // The server already determined which `_error.page.js` to render
+    assert(hasProp(pageContextFromHook, '_pageId', 'string'))
+    const errorPageId = pageContextFromHook._pageId
+    assert(isErrorPageId(errorPageId))
 
     objectAssign(pageContextAddendum, {
       isHydration: false,
@@ -142,6 +172,36 @@ async function getPageContextUponNavigation(
   }
 }
 
+async function executeGuardHook(
+  pageContext: {
+    _pageId: string
+    urlOriginal: string
+    isHydration: boolean
+    _pageFilesAll: PageFile[]
+  } & PageContextExports &
+    PageContextPassThrough
+): Promise<void> {
+  // `export { guard }` defined in `.page.client.js` or `.page.js`. (A `guard()` hook defined in `.page.server.js` is run by the server, see `onBeforeRenderExecute()`.)
+  const hook = getHook(pageContext, 'guard')
+  if (!hook) {
+    return
+  }
+  const guard = hook.hook
+  const pageContextReadyForRelease = releasePageContext({
+    ...pageContext,
+    _comesDirectlyFromServer: false,
+    _pageContextRetrievedFromServer: null
+  })
+  const hookResult = await callHookWithTimeout(() => guard(pageContextReadyForRelease), 'guard', hook.filePath, {
+    abortController: pageContext._abortController,
+    hooksTimeout: [getHooksTimeout(pageContext)]
+  })
+  assertUsage(
+    hookResult === undefined,
+    `The guard() hook of ${hook.filePath} isn't allowed to return a value: throw \`RenderRedirect()\` instead to deny access.`
+  )
+}
+
 async function onBeforeRenderExecute(
   pageContext: {
     _pageId: string
@@ -156,13 +216,32 @@ async function onBeforeRenderExecute(
     unknown
   >
 > {
+  const { hasOnBeforeRenderServerSideOnlyHook, hasGuardServerSideOnlyHook } = await analyzePageServerSide(
+    pageContext._pageFilesAll,
+    pageContext._pageId
+  )
+
   // `export { onBeforeRender }` defined in `.page.client.js` or `.page.js`
   const hook = getHook(pageContext, 'onBeforeRender')
   if (hook) {
     const onBeforeRender = hook.hook
     const pageContextAddendum = {
       _comesDirectlyFromServer: false,
-      _pageContextRetrievedFromServer: null
+      _pageContextRetrievedFromServer: null as null | Record<string, unknown>
+    }
+    // A `guard()` hook defined in `.page.server.js` can only be run by the server: we run it before the client-side `onBeforeRender()` hook
+    if (hasGuardServerSideOnlyHook) {
+      const pageContextFromServer = await retrievePageContextFromServer(pageContext)
+      // The server already ran the `onBeforeRender()` hook if it's defined in `.page.js`. It also already rendered the error page's `pageContext` if `guard()` threw `RenderErrorPage()`.
+      if (pageContextFromServer['_isError'] || !isClientSideOnlyHook(pageContext, hook.filePath)) {
+        return {
+          ...pageContextFromServer,
+          _comesDirectlyFromServer: true,
+          _pageContextRetrievedFromServer: pageContextFromServer
+        }
+      }
+      Object.assign(pageContextAddendum, pageContextFromServer)
+      objectAssign(pageContextAddendum, { _pageContextRetrievedFromServer: pageContextFromServer })
     }
     const pageContextReadyForRelease = releasePageContext({
       ...pageContext,
@@ -171,7 +250,8 @@ async function onBeforeRenderExecute(
     const hookResult = await callHookWithTimeout(
       () => onBeforeRender(pageContextReadyForRelease),
       'onBeforeRender',
-      hook.filePath
+      hook.filePath,
+      { abortController: pageContext._abortController, hooksTimeout: [getHooksTimeout(pageContext)] }
     )
     assertHookResult(hookResult, 'onBeforeRender', ['pageContext'], hook.filePath)
     const pageContextFromHook = hookResult?.pageContext
@@ -179,10 +259,8 @@ async function onBeforeRenderExecute(
     return pageContextAddendum
   }
 
-  // `export { onBeforeRender }` defined in `.page.server.js`
-  else if (
-    (await analyzePageServerSide(pageContext._pageFilesAll, pageContext._pageId)).hasOnBeforeRenderServerSideOnlyHook
-  ) {
+  // `export { onBeforeRender }` or `export { guard }` defined in `.page.server.js`
+  else if (hasOnBeforeRenderServerSideOnlyHook || hasGuardServerSideOnlyHook) {
     const pageContextFromServer = await retrievePageContextFromServer(pageContext)
     const pageContextAddendum = {}
     Object.assign(pageContextAddendum, pageContextFromServer)
@@ -198,24 +276,43 @@ async function onBeforeRenderExecute(
   return pageContextAddendum
 }
 
-async function getPageContextFromRoute(
-  pageContext: PageContextForRoute
-): Promise<{ _pageId: string; routeParams: Record<string, string> }> {
+function isClientSideOnlyHook(pageContext: { _pageFilesAll: PageFile[] }, hookFilePath: string): boolean {
+  const pageFile = pageContext._pageFilesAll.find((p) => p.filePath === hookFilePath)
+  assert(pageFile)
+  return pageFile.fileType === '.page.client'
+}
+
+async function getPageContextFromRoute(pageContext: PageContextForRoute): Promise<{
+  _pageId: string
+  routeParams: Record<string, string>
+  routeParamsCoerced: RouteParamsCoerced
+  routeString: null | string
+}> {
   const routeResult = await route(pageContext)
   const pageContextFromRoute = routeResult.pageContextAddendum
   if (!pageContextFromRoute._pageId) {
-    throw new Error('No routing match')
+    const err = new Error('No routing match')
+    Object.assign(err, { _isNoRouteMatch: true })
+    throw err
   }
   assert(hasProp(pageContextFromRoute, '_pageId', 'string'))
+  if (getApiPageFile(pageContext._pageFilesAll, pageContextFromRoute._pageId)) {
+    // API endpoints `.page.api.js` are handled by the server
+    serverSideRouteTo(pageContext.urlOriginal)
+    const err = new Error('API endpoint')
+    Object.assign(err, { _abortRendering: true })
+    throw err
+  }
   return pageContextFromRoute
 }
 
 async function retrievePageContextFromServer(pageContext: {
   urlOriginal: string
   _urlPristine?: string
+  abortSignal?: AbortSignal
 }): Promise<Record<string, unknown>> {
   const pageContextUrl = getPageContextRequestUrl(pageContext._urlPristine ?? pageContext.urlOriginal)
-  const response = await fetch(pageContextUrl)
+  const response = await fetch(pageContextUrl, { signal: pageContext.abortSignal })
 
   {
     const contentType = response.headers.get('content-type')
@@ -236,7 +333,14 @@ async function retrievePageContextFromServer(pageContext: {
   }
 
   const responseText = await response.text()
-  const responseObject = parse(responseText) as { pageContext: Record<string, unknown> } | { serverSideError: true }
+  const responseObject = parse(responseText) as
+    | { pageContext: Record<string, unknown> }
+    | { serverSideError: true }
+    | { serverSideRedirect: { url: string; statusCode: RedirectStatusCode } }
+  if ('serverSideRedirect' in responseObject) {
+    const { url, statusCode } = responseObject.serverSideRedirect
+    throw RenderRedirect(url, statusCode)
+  }
   if ('serverSideError' in responseObject) {
     throw getProjectError(
       '`pageContext` could not be fetched from the server as an error occurred on the server; check your server logs.'
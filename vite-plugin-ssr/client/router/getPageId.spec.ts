@@ -0,0 +1,44 @@
+import { expect, describe, it, vi, beforeAll } from 'vitest'
+import { getPageFile } from '../../shared/getPageFiles/getPageFileObject.spec-utils'
+
+let getPageId: typeof import('./getPageId').getPageId
+let isClientSideRenderable: typeof import('./skipLink/isClientSideRenderable').isClientSideRenderable
+beforeAll(async () => {
+  const pageFilesAll = [
+    getPageFile('/renderer/_default.page.client.js', { render: () => {}, clientRouting: true }),
+    getPageFile('/pages/index.page.js', { Page: () => {} }),
+    getPageFile('/pages/about.page.js', { Page: () => {} }),
+    getPageFile('/pages/about.page.route.js', { default: ['/about', '/a-propos'], canonical: true })
+  ]
+  globalThis.__vite_plugin_ssr = {
+    ...globalThis.__vite_plugin_ssr,
+    // The page files are loaded by `getGlobalContext()` with `import.meta.glob()`, which isn't available here
+    'getGlobalContext.ts': {
+      globalContext: {
+        _urlProcessor: null,
+        _baseUrl: '/',
+        _objectCreatedByVitePluginSsr: true,
+        _isProduction: false,
+        _pageFilesAll: pageFilesAll,
+        _allPageIds: ['/pages/index', '/pages/about']
+      }
+    }
+  }
+  // The client-side router reads the current URL upon import
+  vi.stubGlobal('window', { location: { href: 'http://localhost/' } })
+  getPageId = (await import('./getPageId')).getPageId
+  isClientSideRenderable = (await import('./skipLink/isClientSideRenderable')).isClientSideRenderable
+})
+
+describe('getPageId()', () => {
+  it('basics', async () => {
+    expect((await getPageId('/about')).pageId).toBe('/pages/about')
+    expect((await getPageId('/does-not-exist')).pageId).toBe(null)
+    expect(await isClientSideRenderable('/about')).toBe(true)
+  })
+  it('route string aliases', async () => {
+    // The server redirects `/a-propos` to `/about`
+    expect((await getPageId('/a-propos')).pageId).toBe(null)
+    expect(await isClientSideRenderable('/a-propos')).toBe(false)
+  })
+})
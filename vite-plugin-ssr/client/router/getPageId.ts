@@ -1,6 +1,9 @@
 import { addComputedUrlProps } from '../../shared/addComputedUrlProps'
 import { route } from '../../shared/route'
 import { getGlobalContext } from './getGlobalContext'
+import { getApiPageFile } from '../../shared/getPageFiles'
+import { isRenderRedirectException } from '../../shared/RenderRedirect'
+import { PromiseType } from './utils'
 
 export { getPageId }
 
@@ -8,11 +11,21 @@ async function getPageId(url: string) {
   const globalContext = await getGlobalContext()
   const pageContext = {
     urlOriginal: url,
+    httpMethod: 'GET',
     ...globalContext
   }
   const pageFilesAll = globalContext._pageFilesAll
   addComputedUrlProps(pageContext)
-  const routeContext = await route(pageContext)
+  let routeContext: PromiseType<ReturnType<typeof route>>
+  try {
+    routeContext = await route(pageContext)
+  } catch (err) {
+    // Redirects, e.g. the route string alias `/a-propos` of `/about`, are done by the server
+    if (isRenderRedirectException(err)) {
+      return { pageId: null, pageFilesAll }
+    }
+    throw err
+  }
   if (!('pageContextAddendum' in routeContext)) {
     return { pageId: null, pageFilesAll }
   }
@@ -20,5 +33,9 @@ async function getPageId(url: string) {
   if (!pageId) {
     return { pageId: null, pageFilesAll }
   }
+  // API endpoints `.page.api.js` are handled by the server
+  if (getApiPageFile(pageFilesAll, pageId)) {
+    return { pageId: null, pageFilesAll }
+  }
   return { pageId, pageFilesAll }
 }
@@ -1,3 +1,4 @@
 export { navigate } from './navigate'
 export { prefetch } from './prefetch'
+export { RenderRedirect } from '../../shared/RenderRedirect'
 export type { PageContextBuiltInClient } from './types'
@@ -1,16 +1,22 @@
 export { navigate }
 export { defineNavigate }
 
-import { assertUsage, isBrowser, getGlobalObject } from './utils'
+import { assertUsage, isBrowser, getGlobalObject, isPlainObject } from './utils'
+import { getUrl } from '../../shared/route/getUrl'
+import type { PageUrl } from '../../shared/route/routeTypes'
 
+type Navigate = (
+  url: string,
+  options?: { keepScrollPosition?: boolean; overwriteLastHistoryEntry?: boolean }
+) => Promise<void>
 const globalObject = getGlobalObject<{
-  navigate?: typeof navigate
+  navigate?: Navigate
 }>('navigate.ts', {})
 
 /** Programmatically navigate to a new page, see https://vite-plugin-ssr.com/navigate */
 async function navigate(
-  /** URL of the page to navigate to */
-  url: string,
+  /** URL of the page to navigate to, or the page and its route parameters, e.g. `{ pageId: '/pages/product', routeParams: { id: '42' } }` */
+  url: string | PageUrl,
   {
     /** Don't scroll to the top of the page; keep scroll position where it is instead. */
     keepScrollPosition = false,
@@ -27,6 +33,10 @@ async function navigate(
     'navigate() is only available when using Client Routing, see https://vite-plugin-ssr.com/navigate'
   )
   assertUsage(url, '[navigate(url)] Missing argument `url`.')
+  if (isPlainObject(url)) {
+    const { pageId, routeParams, search, hash } = url
+    url = await getUrl(pageId, routeParams, { search, hash })
+  }
   assertUsage(
     typeof url === 'string',
     '[navigate(url)] Argument `url` should be a string (but we got `typeof url === "' + typeof url + '"`.'
@@ -47,6 +57,6 @@ async function navigate(
   await globalObject.navigate(url, { keepScrollPosition, overwriteLastHistoryEntry })
 }
 
-function defineNavigate(navigate_: typeof navigate) {
+function defineNavigate(navigate_: Navigate) {
   globalObject.navigate = navigate_
 }
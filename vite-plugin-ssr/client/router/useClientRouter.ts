@@ -11,7 +11,8 @@ import {
   throttle,
   sleep,
   getGlobalObject,
-  callHookWithTimeout
+  callHookWithTimeout,
+  createAbortController
 } from './utils'
 import { navigationState } from '../navigationState'
 import { getPageContext, getPageContextErrorPage } from './getPageContext'
@@ -21,11 +22,12 @@ import { addComputedUrlProps } from '../../shared/addComputedUrlProps'
 import { addLinkPrefetchHandlers } from './prefetch'
 import { assertInfo, assertWarning, isReact, PromiseType } from './utils'
 import { assertRenderHook } from '../assertRenderHook'
-import { assertHook } from '../../shared/getHook'
+import { assertHook, getHooksTimeout } from '../../shared/getHook'
 import { isClientSideRenderable, skipLink } from './skipLink'
 import { isErrorFetchingStaticAssets } from '../loadPageFilesClientSide'
 import { initHistoryState, getHistoryState, pushHistory, ScrollPosition, saveScrollPosition } from './history'
-import { defineNavigate } from './navigate'
+import { defineNavigate, navigate } from './navigate'
+import { isRenderRedirectException } from '../../shared/RenderRedirect'
 const globalObject = getGlobalObject<{
   onPageTransitionStart?: Function
   clientRoutingIsDisabled?: true
@@ -70,6 +72,7 @@ function useClientRouter() {
   let renderingCounter = 0
   let renderPromise: Promise<void> | undefined
   let isTransitioning: boolean = false
+  let abortPreviousRendering: undefined | (() => void)
   fetchAndRender({ scrollTarget: 'preserve-scroll', isBackwardNavigation: null })
 
   return
@@ -98,6 +101,8 @@ function useClientRouter() {
 
     const pageContext = {
       urlOriginal: url,
+      // Client-side navigation always fetches pages with `GET`
+      httpMethod: 'GET',
       isBackwardNavigation
     }
 
@@ -128,6 +133,17 @@ function useClientRouter() {
       return false
     }
 
+    // Superseded renderings are aborted, so that their pending hooks and fetch requests can stop early
+    const abortController = createAbortController()
+    abortPreviousRendering?.()
+    abortPreviousRendering = () => {
+      if (shouldAbort()) abortController?.abort()
+    }
+    objectAssign(pageContext, {
+      _abortController: abortController,
+      abortSignal: abortController?.signal
+    })
+
     const globalContext = await getGlobalContext()
     if (shouldAbort()) {
       return
@@ -143,12 +159,18 @@ function useClientRouter() {
     try {
       pageContextAddendum = await getPageContext(pageContext)
     } catch (err: unknown) {
+      if (shouldAbort()) return
       if (checkIfAbort(err, pageContext)) return
 
+      if (isRenderRedirectException(err)) {
+        await redirect(err.url, url)
+        return
+      }
+
       console.error(err)
 
       try {
-        pageContextAddendum = await getPageContextErrorPage(pageContext)
+        pageContextAddendum = await getPageContextErrorPage(pageContext, err)
       } catch (err2: unknown) {
         // - When user hasn't defined a `_error.page.js` file
         // - Some unpexected vite-plugin-ssr internal error
@@ -208,7 +230,8 @@ function useClientRouter() {
       const hookResult = await callHookWithTimeout(
         () => pageContext.exports.render(pageContextReadyForRelease),
         'render',
-        hookFilePath
+        hookFilePath,
+        { abortController, hooksTimeout: [getHooksTimeout(pageContext)] }
       )
       assertUsage(hookResult === undefined, `The render() hook of ${hookFilePath} isn't allowed to return a value`)
       addLinkPrefetchHandlers(pageContext)
@@ -222,7 +245,9 @@ function useClientRouter() {
       if (onHydrationEnd) {
         const hookFilePath = pageContext.exportsAll.onHydrationEnd![0]!.filePath
         assert(hookFilePath)
-        await callHookWithTimeout(() => onHydrationEnd(pageContext), 'onHydrationEnd', hookFilePath)
+        await callHookWithTimeout(() => onHydrationEnd(pageContext), 'onHydrationEnd', hookFilePath, {
+          hooksTimeout: [getHooksTimeout(pageContext)]
+        })
       }
     } else if (renderingNumber === renderingCounter) {
       if (pageContext.exports.onPageTransitionEnd) {
@@ -238,6 +263,17 @@ function useClientRouter() {
   }
 }
 
+// Follow a `throw RenderRedirect(url)` of a hook or Route Function, or a redirect returned by a `.pageContext.json` request
+async function redirect(urlRedirect: string, urlOriginal: string) {
+  if (globalObject.clientRoutingIsDisabled || !urlRedirect.startsWith('/')) {
+    serverSideRouteTo(urlRedirect)
+    return
+  }
+  // The URL of the redirecting page is already in the browser history upon history navigation (e.g. when the user clicks on the browser's back button)
+  const overwriteLastHistoryEntry = getCurrentUrl() === urlOriginal
+  await navigate(urlRedirect, { overwriteLastHistoryEntry })
+}
+
 function onLinkClick(callback: (url: string, { keepScrollPosition }: { keepScrollPosition: boolean }) => void) {
   document.addEventListener('click', onClick)
 
@@ -27,3 +27,4 @@ export * from '../../utils/sleep'
 export * from '../../utils/getGlobalObject'
 export * from '../../utils/assertPackageInstances'
 export * from '../../utils/callHookWithTimeout'
+export * from '../../utils/createAbortController'
@@ -1,6 +1,7 @@
 import { cac } from 'cac'
 import { resolve } from 'path'
 import { prerender } from '../prerender'
+import { printRoutes } from './routes'
 import { projectInfo, assertUsage, assertWarning } from '../utils'
 
 const cli = cac(projectInfo.projectName)
@@ -20,6 +21,17 @@ cli
     await prerender({ partial, noExtraDir, base, root, parallel, outDir, configFile })
   })
 
+cli
+  .command('routes', 'List the routes of your pages')
+  .option('--url <url>', '[string] Show which routes match the URL, in precedence order.')
+  .option('--root <path>', '[string] Root directory of your app.')
+  .option('--configFile <path>', '[string] Path to `vite.config.js`.')
+  .action(async (options) => {
+    const { url, configFile } = options
+    const root = options.root && resolve(options.root)
+    await printRoutes({ url, root, configFile })
+  })
+
 function assertOptions() {
   // We use `rawOptions` because `cac` maps option names to camelCase
   const rawOptions = process.argv.slice(3)
@@ -0,0 +1,113 @@
+import { getPageRoutesInfo, getRouteMatchesInfo } from './routes'
+import { loadPageRoutes } from '../../shared/route'
+import { getPageFile } from '../../shared/getPageFiles/getPageFileObject.spec-utils'
+import type { PageFile } from '../../shared/getPageFiles'
+import { expect, describe, it } from 'vitest'
+
+function getPageContext(pageFilesAll: PageFile[]) {
+  return {
+    httpMethod: 'GET',
+    _pageFilesAll: pageFilesAll,
+    _allPageIds: [...new Set(pageFilesAll.filter((p) => !p.isDefaultPageFile).map((p) => p.pageId))],
+    _baseUrl: '/',
+    _urlProcessor: null
+  }
+}
+
+// The output is colored by `picocolors`
+function stripColors(lines: string[]) {
+  return lines.map((line) => line.replace(/\x1b\[\d+m/g, ''))
+}
+
+const pageContext = getPageContext([
+  getPageFile('/pages/index.page.js', {}),
+  getPageFile('/pages/about.page.js', {}),
+  getPageFile('/pages/about.page.route.js', { default: ['/about', '/a-propos'], canonical: true }),
+  getPageFile('/pages/product.page.js', {}),
+  getPageFile('/pages/product.page.route.js', { default: '/product/@id' }),
+  getPageFile('/pages/product-new.page.js', {}),
+  getPageFile('/pages/product-new.page.route.js', { default: '/product/new' }),
+  getPageFile('/pages/admin.page.js', {}),
+  getPageFile('/pages/admin.page.route.js', {
+    default: (pageContext: { urlPathname: string }) =>
+      pageContext.urlPathname.startsWith('/product/') && { precedence: -1 }
+  })
+])
+
+describe('$ vite-plugin-ssr routes', () => {
+  it('getPageRoutesInfo()', async () => {
+    const { pageRoutes } = await loadPageRoutes(pageContext)
+    expect(stripColors(getPageRoutesInfo(pageRoutes))).toEqual([
+      [
+        '(1) /about',
+        '      Page: /pages/about.page.*',
+        '      Route type: Route String',
+        '      Route file: /pages/about.page.route.js',
+        '      Canonical route'
+      ].join('\n'),
+      [
+        '(2) /a-propos',
+        '      Page: /pages/about.page.*',
+        '      Route type: Route String',
+        '      Route file: /pages/about.page.route.js',
+        '      Alias of `/about` (redirects to it)'
+      ].join('\n'),
+      // The source code of the Route Function, truncated
+      expect.stringMatching(
+        /^\(3\) \(\w+\) => \w+\.urlPathname\.startsWith\(.+\.\.\.\n      Page: \/pages\/admin\.page\.\*\n      Route type: Route Function\n      Route file: \/pages\/admin\.page\.route\.js$/
+      ),
+      [
+        '(4) /',
+        '      Page: /pages/index.page.*',
+        '      Route type: Filesystem Route',
+        '      Route file: None',
+        '      filesystemRoutingRoot: None'
+      ].join('\n'),
+      [
+        '(5) /product/@id',
+        '      Page: /pages/product.page.*',
+        '      Route type: Route String',
+        '      Route file: /pages/product.page.route.js'
+      ].join('\n'),
+      [
+        '(6) /product/new',
+        '      Page: /pages/product-new.page.*',
+        '      Route type: Route String',
+        '      Route file: /pages/product-new.page.route.js'
+      ].join('\n')
+    ])
+  })
+  it('getRouteMatchesInfo()', async () => {
+    // Precedence order
+    expect(stripColors(await getRouteMatchesInfo('/product/new', pageContext))).toEqual([
+      'URL `/product/new` is matching 3 page routes, in precedence order (see https://vite-plugin-ssr.com/route-function#precedence):',
+      '(1) `/product/new` of /pages/product-new.page.* (routeParams: {}) <- rendered',
+      '(2) `/product/@id` of /pages/product.page.* (routeParams: {"id":"new"})',
+      '(3) Route Function of /pages/admin.page.* (routeParams: {}, precedence: -1)'
+    ])
+    // Alias redirect
+    expect(await getRouteMatchesInfo('/a-propos', pageContext)).toEqual([
+      'URL `/a-propos` is redirected to `/about` (HTTP status code 301).'
+    ])
+    // No match
+    expect(await getRouteMatchesInfo('/does-not-exist', pageContext)).toEqual([
+      "URL `/does-not-exist` isn't matching any page route: the 404 page is rendered."
+    ])
+  })
+  it('onBeforeRoute()', async () => {
+    const pageContext = getPageContext([
+      getPageFile('/pages/index.page.js', {}),
+      getPageFile('/renderer/_default.page.route.js', {
+        onBeforeRoute: (pageContext: { urlOriginal: string }) => ({
+          pageContext: { _pageId: pageContext.urlOriginal === '/' ? '/pages/index' : null }
+        })
+      })
+    ])
+    expect(await getRouteMatchesInfo('/', pageContext)).toEqual([
+      'URL `/` is routed by the `onBeforeRoute()` hook to /pages/index.page.*.'
+    ])
+    expect(await getRouteMatchesInfo('/about', pageContext)).toEqual([
+      'URL `/about` is routed by the `onBeforeRoute()` hook to no page.'
+    ])
+  })
+})
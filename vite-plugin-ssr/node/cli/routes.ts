@@ -0,0 +1,144 @@
+export { printRoutes }
+export { getPageRoutesInfo }
+export { getRouteMatchesInfo }
+
+import { createServer } from 'vite'
+import pc from 'picocolors'
+import { getGlobalContext } from '../globalContext'
+import { getPageFilesAll } from '../../shared/getPageFiles'
+import { loadPageRoutes, route, PageRoutes, RouteMatches, PageContextForRoute } from '../../shared/route'
+import { isRenderRedirectException } from '../../shared/RenderRedirect'
+import { assert, assertUsage, compareString } from '../utils'
+
+type PageRoute = PageRoutes[number]
+
+async function printRoutes(options: { root?: string; configFile?: string; url?: string }) {
+  assertUsage(options.url === undefined || options.url.startsWith('/'), '`--url` should start with `/`, e.g. `/about`.')
+  // Loads the app the same way as `$ vite dev` does
+  const viteDevServer = await createServer({
+    root: options.root,
+    configFile: options.configFile,
+    server: { middlewareMode: true }
+  })
+  try {
+    const globalContext = await getGlobalContext(false)
+    const { pageFilesAll, allPageIds } = await getPageFilesAll(false, globalContext._isProduction)
+    const pageContext = {
+      httpMethod: 'GET',
+      _pageFilesAll: pageFilesAll,
+      _allPageIds: allPageIds,
+      _baseUrl: globalContext._baseUrl,
+      _urlProcessor: null
+    }
+    const { pageRoutes, onBeforeRouteHook } = await loadPageRoutes(pageContext)
+    const lines = [`${pageRoutes.length} page routes:`, ...getPageRoutesInfo(pageRoutes)]
+    if (onBeforeRouteHook) {
+      lines.push('', `The \`onBeforeRoute()\` hook defined by ${onBeforeRouteHook.filePath} is called before routing.`)
+    }
+    if (options.url !== undefined) {
+      lines.push('', ...(await getRouteMatchesInfo(options.url, pageContext)))
+    }
+    console.log(lines.join('\n'))
+  } finally {
+    await viteDevServer.close()
+  }
+}
+
+function getPageRoutesInfo(pageRoutes: PageRoutes): string[] {
+  return [...pageRoutes]
+    .sort((pageRoute1, pageRoute2) => compareString(pageRoute1.pageId, pageRoute2.pageId))
+    .map((pageRoute, i) => {
+      const lines = [
+        `${getNth(i, pageRoutes.length)} ${pc.bold(getRouteHumanReadable(pageRoute))}`,
+        `      Page: ${pageRoute.pageId}.page.*`,
+        `      Route type: ${getRouteTypeHumanReadable(pageRoute)}`,
+        `      Route file: ${pageRoute.pageRouteFilePath ?? 'None'}`
+      ]
+      if (pageRoute.routeType === 'STRING' && pageRoute.canonicalRouteString !== null) {
+        lines.push(
+          pageRoute.canonicalRouteString === pageRoute.routeString
+            ? '      Canonical route'
+            : `      Alias of \`${pageRoute.canonicalRouteString}\` (redirects to it)`
+        )
+      }
+      if (pageRoute.routeType === 'FILESYSTEM') {
+        const { filesystemRoutingRoot } = pageRoute
+        lines.push(
+          `      filesystemRoutingRoot: ${
+            filesystemRoutingRoot
+              ? `\`${filesystemRoutingRoot.routeRoot}\` (applied to the directory ${filesystemRoutingRoot.filesystemRoot})`
+              : 'None'
+          }`
+        )
+      }
+      return lines.join('\n')
+    })
+}
+
+async function getRouteMatchesInfo(
+  url: string,
+  pageContext: Omit<PageContextForRoute, 'urlOriginal'>
+): Promise<string[]> {
+  let routeMatches: RouteMatches
+  let pageId: null | string
+  try {
+    const { pageContextAddendum } = await route({ ...pageContext, urlOriginal: url })
+    routeMatches = pageContextAddendum._routeMatches
+    pageId = pageContextAddendum._pageId
+  } catch (err) {
+    if (!isRenderRedirectException(err)) throw err
+    return [`URL \`${url}\` is redirected to \`${err.url}\` (HTTP status code ${err.statusCode}).`]
+  }
+  if (routeMatches === 'CUSTOM_ROUTE') {
+    return [
+      `URL \`${url}\` is routed by the \`onBeforeRoute()\` hook to ${pageId === null ? 'no page' : `${pageId}.page.*`}.`
+    ]
+  }
+  if (routeMatches.length === 0) {
+    return [`URL \`${url}\` isn't matching any page route: the 404 page is rendered.`]
+  }
+  assert(pageId === routeMatches[0]!.pageId)
+  return [
+    `URL \`${url}\` is matching ${routeMatches.length} page routes, in precedence order (see https://vite-plugin-ssr.com/route-function#precedence):`,
+    ...routeMatches.map((routeMatch, i) => {
+      const route_humanReadable =
+        routeMatch.routeString !== undefined ? `\`${routeMatch.routeString}\`` : 'Route Function'
+      const details = [
+        `routeParams: ${JSON.stringify(routeMatch.routeParams)}`,
+        ...(routeMatch.precedence !== undefined && routeMatch.precedence !== null
+          ? [`precedence: ${routeMatch.precedence}`]
+          : [])
+      ]
+      const line = `${getNth(i, routeMatches.length)} ${route_humanReadable} of ${
+        routeMatch.pageId
+      }.page.* (${details.join(', ')})`
+      return i === 0 ? `${line} ${pc.green('<- rendered')}` : line
+    })
+  ]
+}
+
+function getRouteHumanReadable(pageRoute: PageRoute): string {
+  if (pageRoute.routeType === 'FUNCTION') {
+    return truncateString(String(pageRoute.routeFunction).split(/\s/).filter(Boolean).join(' '), 64)
+  }
+  return pageRoute.routeString
+}
+
+function getRouteTypeHumanReadable(pageRoute: PageRoute): string {
+  if (pageRoute.routeType === 'STRING') return 'Route String'
+  if (pageRoute.routeType === 'FUNCTION') return 'Route Function'
+  return 'Filesystem Route'
+}
+
+function getNth(i: number, total: number): string {
+  return `(${(i + 1).toString().padStart(total.toString().length, '0')})`
+}
+
+function truncateString(str: string, len: number) {
+  if (len > str.length) {
+    return str
+  } else {
+    str = str.substring(0, len)
+    return str + '...'
+  }
+}
@@ -1,4 +1,5 @@
 export { navigate }
+export { RenderRedirect } from '../../shared/RenderRedirect'
 
 import { assertWarning } from '../../utils/assert'
 import type { navigate as navigateOriginal } from '../../client/router/navigate'
@@ -6,7 +6,8 @@ export type { GlobalContext }
 import { PromiseType, assert, assertUsage, hasProp, objectAssign, getGlobalObject } from './utils'
 import type { ViteDevServer } from 'vite'
 import { loadBuild } from './plugin/plugins/importBuild/loadBuild'
-import { setPageFiles } from '../shared/getPageFiles'
+import { getPageFilesAll, setPageFiles } from '../shared/getPageFiles'
+import { setGetUrlContext } from '../shared/route/getUrl'
 import { assertViteManifest } from './viteManifest'
 import { assertPluginManifest } from './plugin/plugins/manifest/assertPluginManifest'
 import { getRuntimeConfig, setRuntimeConfig } from './globalContext/runtimeConfig'
@@ -16,6 +17,12 @@ const globalObject = getGlobalObject<{ viteDevServer: null | ViteDevServer }>('g
 
 type GlobalContext = PromiseType<ReturnType<typeof getGlobalContext>>
 
+setGetUrlContext(async () => {
+  const globalContext = await getGlobalContext(false)
+  const { pageFilesAll, allPageIds } = await getPageFilesAll(false, globalContext._isProduction)
+  return { _pageFilesAll: pageFilesAll, _allPageIds: allPageIds, _baseUrl: globalContext._baseUrl }
+})
+
 function setViteDevServer(viteDevServer: ViteDevServer) {
   assert(viteDevServer)
   globalObject.viteDevServer = viteDevServer
@@ -59,6 +66,9 @@ async function getGlobalContext(isPreRendering: boolean) {
     _baseAssets: runtimeConfig.baseAssets,
     _viteDevServer: viteDevServer,
     _includeAssetsImportedByServer: runtimeConfig.includeAssetsImportedByServer,
+    _etag: runtimeConfig.etag,
+    _hooksTimeout: runtimeConfig.hooksTimeout,
+    _renderWorkers: runtimeConfig.renderWorkers,
     //_outDir: viteDevServer?.runtimeConfig.build.outDir ?? getPluginManifest().outDir)
     _objectCreatedByVitePluginSsr: true
   })
@@ -3,20 +3,27 @@ export { setRuntimeConfig }
 export { resolveRuntimeConfig }
 export type { RuntimeConfig }
 
-import { assert, assertBaseUrl, getGlobalObject } from '../utils'
+import { assert, assertBaseUrl, getGlobalObject, HooksTimeout, isHooksTimeout } from '../utils'
 import { assertBaseRuntime, assertBaseConfig } from './runtimeConfig/assertBase'
+import { isRenderWorkers, RenderWorkers } from '../renderPage/renderWorkers'
 const globalObject = getGlobalObject<{ runtimeConfig?: RuntimeConfig }>('runtimeConfig.ts', {})
 
 type RuntimeConfig = {
   baseUrl: string
   baseAssets: string | null
   includeAssetsImportedByServer: boolean
+  etag: boolean
+  hooksTimeout: null | HooksTimeout
+  renderWorkers: null | RenderWorkers
 }
 
 function setRuntimeConfig(runtimeConfig: RuntimeConfig) {
   assert(runtimeConfig)
   assertBaseRuntime(runtimeConfig)
   assert(typeof runtimeConfig.includeAssetsImportedByServer === 'boolean')
+  assert(typeof runtimeConfig.etag === 'boolean')
+  assert(runtimeConfig.hooksTimeout === null || isHooksTimeout(runtimeConfig.hooksTimeout))
+  assert(runtimeConfig.renderWorkers === null || isRenderWorkers(runtimeConfig.renderWorkers))
   assertBaseUrl(runtimeConfig.baseUrl)
   globalObject.runtimeConfig = runtimeConfig
 }
@@ -26,13 +33,24 @@ function getRuntimeConfig() {
   assertBaseRuntime(runtimeConfig)
   return runtimeConfig
 }
-function resolveRuntimeConfig(viteConfig: { base: string; vitePluginSsr: { includeAssetsImportedByServer: boolean } }) {
+function resolveRuntimeConfig(viteConfig: {
+  base: string
+  vitePluginSsr: {
+    includeAssetsImportedByServer: boolean
+    etag: boolean
+    hooksTimeout: null | HooksTimeout
+    renderWorkers: null | RenderWorkers
+  }
+}) {
   const { baseUrl, baseAssets } = resolveBase(viteConfig.base)
-  const { includeAssetsImportedByServer } = viteConfig.vitePluginSsr
+  const { includeAssetsImportedByServer, etag, hooksTimeout, renderWorkers } = viteConfig.vitePluginSsr
   const runtimeConfig = {
     baseUrl,
     baseAssets,
-    includeAssetsImportedByServer
+    includeAssetsImportedByServer,
+    etag,
+    hooksTimeout,
+    renderWorkers
   }
   return runtimeConfig
 }
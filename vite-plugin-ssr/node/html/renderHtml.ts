@@ -91,13 +91,14 @@ async function renderHtmlStream(
     onErrorWhileStreaming
   }: {
     injectString?: { stringBegin: string; stringEnd: string }
-    pageContext: PageContextInjectAssets & { enableEagerStreaming?: boolean }
+    pageContext: PageContextInjectAssets & { enableEagerStreaming?: boolean; abortSignal?: AbortSignal }
     onErrorWhileStreaming: (err: unknown) => void
   }
 ) {
   const opts = {
     onErrorWhileStreaming,
-    enableEagerStreaming: pageContext.enableEagerStreaming
+    enableEagerStreaming: pageContext.enableEagerStreaming,
+    abortSignal: pageContext.abortSignal
   }
   if (injectString) {
     let injectToStream: null | InjectToStream = null
@@ -252,12 +252,15 @@ async function processStream<StreamType extends Stream>(
     injectStringAtBegin,
     injectStringAtEnd,
     onErrorWhileStreaming,
-    enableEagerStreaming
+    enableEagerStreaming,
+    abortSignal
   }: {
     injectStringAtBegin?: () => Promise<string>
     injectStringAtEnd?: () => Promise<string>
     onErrorWhileStreaming: (err: unknown) => void
     enableEagerStreaming?: boolean
+    // Tear down the stream upon client disconnect or timeout
+    abortSignal?: AbortSignal
   }
 ): Promise<StreamType> {
   let resolve: (result: StreamType) => void
@@ -292,6 +295,7 @@ async function processStream<StreamType extends Stream>(
 
   const { streamWrapper, streamOperations } = await manipulateStream({
     streamOriginal,
+    abortSignal,
     onReadyToWrite() {
       debug('stream begin')
       isReadyToWrite = true
@@ -369,6 +373,7 @@ async function processStream<StreamType extends Stream>(
 
 async function manipulateStream<StreamType extends Stream>({
   streamOriginal,
+  abortSignal,
   onError,
   onData,
   onEnd,
@@ -376,6 +381,7 @@ async function manipulateStream<StreamType extends Stream>({
   onReadyToWrite
 }: {
   streamOriginal: StreamType
+  abortSignal?: AbortSignal
   onError: (err: unknown) => void
   onData: (chunk: unknown) => void
   onEnd: () => Promise<void>
@@ -456,6 +462,10 @@ async function manipulateStream<StreamType extends Stream>({
     })
     assert(typeof writableProxy.flush === 'function')
 
+    onAbort(abortSignal, () => {
+      if (!hasEnded) writableProxy.destroy()
+    })
+
     const pipeOriginal = getStreamPipeNode(streamOriginal)
     pipeOriginal(writableProxy)
 
@@ -522,6 +532,7 @@ async function manipulateStream<StreamType extends Stream>({
       const { readable, writable } = new TransformStream()
       writableProxy = writable
       handleReadableWeb(readable, {
+        abortSignal,
         onData,
         onError(err) {
           onError(err)
@@ -552,6 +563,7 @@ async function manipulateStream<StreamType extends Stream>({
         controllerProxy = controller
         onReadyToWrite()
         handleReadableWeb(readableOriginal, {
+          abortSignal,
           onData,
           onError(err) {
             onError(err)
@@ -614,6 +626,11 @@ async function manipulateStream<StreamType extends Stream>({
       await onEnd()
       closeProxy()
     })
+    onAbort(abortSignal, () => {
+      if (readableOriginal.readableEnded) return
+      readableOriginal.destroy()
+      closeProxy()
+    })
 
     return { streamWrapper: readableProxy as typeof streamOriginal, streamOperations: { writeChunk, flushStream } }
   }
@@ -624,12 +641,20 @@ async function manipulateStream<StreamType extends Stream>({
 async function handleReadableWeb(
   readable: ReadableStream,
   {
+    abortSignal,
     onData,
     onError,
     onEnd
-  }: { onData: (chunk: unknown) => void; onError: (err: unknown) => void; onEnd: () => Promise<void> }
+  }: {
+    abortSignal?: AbortSignal
+    onData: (chunk: unknown) => void
+    onError: (err: unknown) => void
+    onEnd: () => Promise<void>
+  }
 ) {
   const reader = readable.getReader()
+  // Cancelling the reader cancels the original stream; `reader.read()` then resolves with `done: true`
+  onAbort(abortSignal, () => reader.cancel())
   while (true) {
     let result: ReadableStreamDefaultReadResult<unknown>
     try {
@@ -647,6 +672,15 @@ async function handleReadableWeb(
   await onEnd()
 }
 
+function onAbort(abortSignal: undefined | AbortSignal, teardown: () => void) {
+  if (!abortSignal) return
+  if (abortSignal.aborted) {
+    teardown()
+  } else {
+    abortSignal.addEventListener('abort', teardown, { once: true })
+  }
+}
+
 function isStream(something: unknown): something is Stream {
   if (
     isStreamReadableWeb(something) ||
@@ -1,21 +1,14 @@
 export { addSsrMiddleware }
 
-import { renderPage } from '../../renderPage'
 import type { ViteDevServer } from 'vite'
+import { handleRequestNode } from '../../server/node-http'
 
 type ConnectServer = ViteDevServer['middlewares']
 function addSsrMiddleware(middlewares: ConnectServer) {
-  middlewares.use(async (req, res, next) => {
+  middlewares.use((req, res, next) => {
     if (res.headersSent) return next()
-    const url = req.originalUrl || req.url
-    if (!url) return next()
-    const userAgent = req.headers['user-agent']
-    const pageContextInit = { urlOriginal: url, userAgent }
-    const pageContext = await renderPage(pageContextInit)
-    if (!pageContext.httpResponse) return next()
-    const { statusCode, contentType } = pageContext.httpResponse
-    res.setHeader('Content-Type', contentType)
-    res.statusCode = statusCode
-    pageContext.httpResponse.pipe(res)
+    // Same as the `node:http` server adapter: it forwards the request headers (e.g. `If-None-Match`) and the abort signal.
+    // Errors are passed on to Vite, so that its error middleware answers with a 500 instead of a 404.
+    handleRequestNode(req, res, (err) => next(err), {})
   })
 }
@@ -1,5 +1,8 @@
 export type { ConfigVpsUserProvided }
 export type { ConfigVpsResolved }
+
+import type { HooksTimeout } from '../../utils'
+import type { RenderWorkers } from '../../../renderPage/renderWorkers'
 //export type ConfigVps = { vitePluginSsr: VpsConfig }
 
 type ConfigVpsResolved = {
@@ -15,6 +18,10 @@ type ConfigVpsResolved = {
   disableAutoFullBuild: boolean
   includeCSS: string[]
   includeAssetsImportedByServer: boolean
+  etag: boolean
+  hooksTimeout: null | HooksTimeout
+  renderWorkers: null | RenderWorkers
+  routeTypes: null | string
 }
 
 type ConfigVpsUserProvided = {
@@ -87,4 +94,57 @@ type ConfigVpsUserProvided = {
    * @experimental
    */
   includeAssetsImportedByServer?: boolean
+  /**
+   * Add an `ETag` header to HTML and `.pageContext.json` responses, and respond with `304 Not Modified` upon a matching `If-None-Match` request header.
+   *
+   * The `If-None-Match` request header is read from `pageContextInit.headers`, e.g. `renderPage({ urlOriginal, headers: req.headers })`.
+   *
+   * See https://vite-plugin-ssr.com/etag
+   *
+   * @default false
+   */
+  etag?: boolean
+  /**
+   * Timeouts of hooks, in milliseconds. A hook exceeding its `warning` timeout logs a warning, and a hook exceeding its `error` timeout makes the rendering fail.
+   *
+   * For example `{ onBeforeRender: { error: 2000, warning: 500 }, onBeforePrerender: false }`. Set a timeout (or the whole option) to `false` to disable it.
+   *
+   * Applies to server-side hooks; pages can override it with `export { hooksTimeout }` which also applies to client-side hooks.
+   *
+   * @default { render: { error: 20000, warning: 4000 }, onBeforeRender: { error: 20000, warning: 4000 }, onBeforePrerender: { error: 60000, warning: 30000 } }
+   */
+  hooksTimeout?: HooksTimeout
+  /**
+   * Render pages in a pool of worker threads, so that CPU-heavy `render()` hooks don't block the server's event loop.
+   *
+   * Only applies in production: the workers load the server build. The `pageContextInit` passed to `renderPage()` should be serializable (structured clone), and the `pageContext` returned by `renderPage()` only holds `httpResponse` and `errorWhileRendering`.
+   *
+   * See https://vite-plugin-ssr.com/renderWorkers
+   *
+   * @default false
+   */
+  renderWorkers?:
+    | boolean
+    | {
+        /**
+         * Number of worker threads.
+         *
+         * @default os.cpus().length - 1
+         */
+        poolSize?: number
+        /**
+         * Replace a worker after it rendered that many pages, in order to contain memory leaks.
+         *
+         * @default Infinity
+         */
+        maxRendersPerWorker?: number
+      }
+  /**
+   * Generate a `.d.ts` file that types the route parameters of each page, which is used by `getUrl()`, `navigate()` and `RouteParams<PageId>`.
+   *
+   * The file is re-generated upon `$ vite dev` (whenever a page file changes) and `$ vite build`. Set it to a string to choose the file path (relative to your Vite `root`).
+   *
+   * @default false
+   */
+  routeTypes?: boolean | string
 }
@@ -1,7 +1,7 @@
 export { assertConfigVpsResolved }
 export { checkConfigVpsUserProvided }
 
-import { assert, hasProp, isObject } from '../../utils'
+import { assert, hasProp, isHooksTimeout, isObject } from '../../utils'
 import type { ConfigVpsResolved } from './ConfigVps'
 
 function checkConfigVpsUserProvided(configVps: unknown): null | { prop: string; errMsg: `should be a${string}` } {
@@ -16,6 +16,35 @@ function checkConfigVpsUserProvided(configVps: unknown): null | { prop: string;
     if (!hasProp(configVps, prop, 'boolean') && !hasProp(configVps, prop, 'undefined'))
       return { prop, errMsg: 'should be a boolean' }
   }
+  {
+    const prop = 'etag'
+    if (!hasProp(configVps, prop, 'boolean') && !hasProp(configVps, prop, 'undefined'))
+      return { prop, errMsg: 'should be a boolean' }
+  }
+  {
+    const prop = 'hooksTimeout'
+    if (!isHooksTimeout(configVps[prop]) && !hasProp(configVps, prop, 'undefined') && !hasProp(configVps, prop, 'null'))
+      return {
+        prop,
+        errMsg: 'should be an object such as `{ onBeforeRender: { error: 2000, warning: 500 } }`, or `false`'
+      }
+  }
+  {
+    const prop = 'renderWorkers'
+    if (
+      !hasProp(configVps, prop, 'object') &&
+      !hasProp(configVps, prop, 'boolean') &&
+      !hasProp(configVps, prop, 'undefined') &&
+      !hasProp(configVps, prop, 'null')
+    )
+      return { prop, errMsg: 'should be an object or a boolean' }
+  }
+  {
+    const prop = 'routeTypes'
+    const val = configVps[prop]
+    if (val !== undefined && val !== null && typeof val !== 'string' && typeof val !== 'boolean')
+      return { prop, errMsg: 'should be a boolean or a string' }
+  }
   {
     const prop = 'includeCSS'
     if (!hasProp(configVps, prop, 'string[]') && !hasProp(configVps, prop, 'undefined'))
@@ -73,6 +102,28 @@ function checkConfigVpsUserProvided(configVps: unknown): null | { prop: string;
     }
   }
 
+  const configVpsRenderWorkers = configVps.renderWorkers
+  if (typeof configVpsRenderWorkers === 'object' && configVpsRenderWorkers !== null) {
+    {
+      const p = 'poolSize'
+      if (
+        !hasProp(configVpsRenderWorkers, p, 'number') &&
+        !hasProp(configVpsRenderWorkers, p, 'undefined') &&
+        !hasProp(configVpsRenderWorkers, p, 'null')
+      )
+        return { prop: `renderWorkers.${p}`, errMsg: 'should be a number' }
+    }
+    {
+      const p = 'maxRendersPerWorker'
+      if (
+        !hasProp(configVpsRenderWorkers, p, 'number') &&
+        !hasProp(configVpsRenderWorkers, p, 'undefined') &&
+        !hasProp(configVpsRenderWorkers, p, 'null')
+      )
+        return { prop: `renderWorkers.${p}`, errMsg: 'should be a number' }
+    }
+  }
+
   return null
 }
 
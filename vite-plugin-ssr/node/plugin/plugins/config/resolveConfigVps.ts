@@ -26,13 +26,33 @@ function resolveConfigVps(
     prerender: resolvePrerenderOptions(fromPluginOptions, fromViteConfig),
     includeCSS: fromPluginOptions.includeCSS ?? fromViteConfig.includeCSS ?? [],
     includeAssetsImportedByServer:
-      fromPluginOptions.includeAssetsImportedByServer ?? fromViteConfig.includeAssetsImportedByServer ?? false
+      fromPluginOptions.includeAssetsImportedByServer ?? fromViteConfig.includeAssetsImportedByServer ?? false,
+    etag: fromPluginOptions.etag ?? fromViteConfig.etag ?? false,
+    hooksTimeout: fromPluginOptions.hooksTimeout ?? fromViteConfig.hooksTimeout ?? null,
+    renderWorkers: resolveRenderWorkers(fromPluginOptions.renderWorkers ?? fromViteConfig.renderWorkers),
+    routeTypes: resolveRouteTypes(fromPluginOptions.routeTypes ?? fromViteConfig.routeTypes)
   }
 
   assertConfigVpsResolved({ vitePluginSsr })
   return vitePluginSsr
 }
 
+function resolveRenderWorkers(
+  renderWorkers: ConfigVpsUserProvided['renderWorkers']
+): ConfigVpsResolved['renderWorkers'] {
+  if (!renderWorkers) return null
+  const options = renderWorkers === true ? {} : renderWorkers
+  return {
+    poolSize: options.poolSize ?? null,
+    maxRendersPerWorker: options.maxRendersPerWorker ?? null
+  }
+}
+
+function resolveRouteTypes(routeTypes: ConfigVpsUserProvided['routeTypes']): ConfigVpsResolved['routeTypes'] {
+  if (!routeTypes) return null
+  return routeTypes === true ? 'vite-plugin-ssr-routes.d.ts' : routeTypes
+}
+
 function resolvePrerenderOptions(fromPluginOptions: ConfigVpsUserProvided, fromViteConfig: ConfigVpsUserProvided) {
   let prerender: ConfigVpsResolved['prerender'] = false
 
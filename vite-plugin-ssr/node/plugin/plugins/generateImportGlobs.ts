@@ -87,6 +87,10 @@ export const isGeneratedFile = true;
   if (!isForClientSide || isClientRouting) {
     fileContent += '\n' + getGlobs(includePaths, isBuild, 'page.route')
   }
+  if (isForClientSide && isClientRouting) {
+    // The Client Router needs to know the routes of API endpoints (it lets the server handle them), but it never loads their code
+    fileContent += '\n' + getGlobs(includePaths, isBuild, 'page.api', 'extractExportNames')
+  }
   fileContent += '\n'
 
   if (isForClientSide) {
@@ -102,6 +106,7 @@ export const isGeneratedFile = true;
   } else {
     fileContent += [
       getGlobs(includePaths, isBuild, 'page.server'),
+      getGlobs(includePaths, isBuild, 'page.api'),
       getGlobs(includePaths, isBuild, 'page.client', 'extractExportNames')
     ].join('\n')
     if (isBuild && config.vitePluginSsr.prerender) {
@@ -119,7 +124,7 @@ export const isGeneratedFile = true;
 function getGlobs(
   includePaths: string[],
   isBuild: boolean,
-  fileSuffix: 'page' | 'page.client' | 'page.server' | 'page.route',
+  fileSuffix: 'page' | 'page.client' | 'page.server' | 'page.route' | 'page.api',
   query?: 'extractExportNames' | 'extractAssets'
 ): string {
   const isEager = isBuild && (query === 'extractExportNames' || fileSuffix === 'page.route')
@@ -153,7 +158,8 @@ function getGlobs(
     (fileSuffix === 'page' && 'Isomorph') ||
     (fileSuffix === 'page.client' && 'Client') ||
     (fileSuffix === 'page.server' && 'Server') ||
-    (fileSuffix === 'page.route' && 'Route')
+    (fileSuffix === 'page.route' && 'Route') ||
+    (fileSuffix === 'page.api' && 'Api')
   assert(varNameSuffix)
   const varName = `${pageFilesVar}${varNameSuffix}`
 
@@ -5,7 +5,7 @@ import path from 'path'
 
 function getGlobPath(
   globRoot: string,
-  fileSuffix: 'page' | 'page.client' | 'page.server' | 'page.route',
+  fileSuffix: 'page' | 'page.client' | 'page.server' | 'page.route' | 'page.api',
   root?: string
 ): string {
   assertPosixPath(globRoot)
@@ -39,7 +39,7 @@ function getImporterCode(config: ResolvedConfig, pageFilesEntry: string) {
     `    pageFiles: () => import('./${pageFilesEntry}'),`,
     "    clientManifest: () => require('../client/manifest.json'),",
     "    pluginManifest: () => require('../client/vite-plugin-ssr.json'),",
-    '  });',
+    '  }, __filename);',
     '}',
     ''
   ].join('\n')
@@ -1,11 +1,13 @@
 export { loadBuild }
 export { setLoaders }
+export { getImportBuildFile }
 
 import { assert, assertUsage } from '../../utils'
 import { loadBuild as loadBuild_, importBuildFileName } from '@brillout/vite-plugin-import-build/loadBuild'
 
 const buildGetters = (globalThis.__vite_plugin_ssr__buildGetters = globalThis.__vite_plugin_ssr__buildGetters || {
-  getters: null
+  getters: null,
+  importBuildFile: null
 })
 
 type BuildGetters = null | {
@@ -14,8 +16,15 @@ type BuildGetters = null | {
   pluginManifest: () => Promise<Record<string, unknown>>
 }
 
-function setLoaders(getters: BuildGetters) {
+// `importBuildFile` is the path of `dist/server/importBuild.cjs` (it's missing for builds made with an older vite-plugin-ssr version)
+function setLoaders(getters: BuildGetters, importBuildFile?: string) {
   buildGetters.getters = getters
+  buildGetters.importBuildFile = importBuildFile ?? null
+}
+
+// Render workers load the same build as the main thread, see `renderWorker.ts`
+function getImportBuildFile(): null | string {
+  return buildGetters.importBuildFile ?? null
 }
 
 async function loadBuild() {
@@ -43,5 +52,6 @@ declare global {
     | undefined
     | {
         getters: BuildGetters
+        importBuildFile: null | string
       }
 }
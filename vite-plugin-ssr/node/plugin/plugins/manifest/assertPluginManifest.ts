@@ -1,7 +1,8 @@
 export { assertPluginManifest }
 
 import { assertBaseUrlValue } from '../../../globalContext/runtimeConfig/assertBase'
-import { assert, assertUsage, isPlainObject, projectInfo } from '../../utils'
+import { assert, assertUsage, HooksTimeout, isHooksTimeout, isPlainObject, projectInfo } from '../../utils'
+import { isRenderWorkers, RenderWorkers } from '../../../renderPage/renderWorkers'
 
 type PluginManifest = {
   version: string
@@ -9,6 +10,9 @@ type PluginManifest = {
   baseAssets: string
   usesClientRouter: boolean
   includeAssetsImportedByServer: boolean
+  etag: boolean
+  hooksTimeout: null | HooksTimeout
+  renderWorkers: null | RenderWorkers
 }
 function assertPluginManifest(pluginManifest: unknown): asserts pluginManifest is PluginManifest {
   assert(isPlainObject(pluginManifest))
@@ -17,6 +21,9 @@ function assertPluginManifest(pluginManifest: unknown): asserts pluginManifest i
   assert(typeof pluginManifest.usesClientRouter === 'boolean')
   assert(typeof pluginManifest.version === 'string')
   assert(typeof pluginManifest.includeAssetsImportedByServer === 'boolean')
+  assert(typeof pluginManifest.etag === 'boolean')
+  assert(pluginManifest.hooksTimeout === null || isHooksTimeout(pluginManifest.hooksTimeout))
+  assert(pluginManifest.renderWorkers === null || isRenderWorkers(pluginManifest.renderWorkers))
   assert(
     pluginManifest.baseAssets === null ||
       (typeof pluginManifest.baseAssets === 'string' && pluginManifest.baseAssets.startsWith('http'))
@@ -0,0 +1,63 @@
+import { generateRouteTypes } from './routeTypes'
+import type { PageRoutes } from '../../../shared/route/loadPageRoutes'
+import { expect, describe, it } from 'vitest'
+
+function getRouteString(pageId: string, routeString: string): PageRoutes[number] {
+  return {
+    pageId,
+    routeString,
+    pageRouteFilePath: `${pageId}.page.route.js`,
+    routeType: 'STRING',
+    canonicalRouteString: null
+  }
+}
+
+describe('generateRouteTypes()', () => {
+  it('route params', () => {
+    const pageRoutes: PageRoutes = [
+      {
+        pageId: '/pages/index',
+        routeString: '/',
+        pageRouteFilePath: null,
+        filesystemRoutingRoot: null,
+        routeType: 'FILESYSTEM'
+      },
+      getRouteString('/pages/product', '/product/@id:int/@view?'),
+      getRouteString('/pages/docs', '/docs/*'),
+      getRouteString('/pages/user', '/user/@id'),
+      // A route string alias with other parameters
+      getRouteString('/pages/user', '/u/@userId'),
+      // A route string alias with the same parameters
+      getRouteString('/pages/user', '/users/@id'),
+      {
+        pageId: '/pages/admin',
+        routeFunction: () => true,
+        pageRouteFilePath: '/pages/admin.page.route.js',
+        allowAsync: false,
+        reverse: null,
+        routeType: 'FUNCTION'
+      }
+    ]
+    expect(generateRouteTypes(pageRoutes)).toBe(
+      [
+        '// Generated by vite-plugin-ssr (config `routeTypes`).',
+        "// Don't edit this file: it's re-generated upon `$ vite dev` and `$ vite build`.",
+        '',
+        'export {}',
+        '',
+        'declare global {',
+        '  namespace VitePluginSsr {',
+        '    interface Routes {',
+        '      "/pages/admin": Record<string, string>',
+        '      "/pages/docs": { "*": string }',
+        '      "/pages/index": Record<string, never>',
+        '      "/pages/product": { id: string; view?: string }',
+        '      "/pages/user": { id: string } | { userId: string }',
+        '    }',
+        '  }',
+        '}',
+        ''
+      ].join('\n')
+    )
+  })
+})
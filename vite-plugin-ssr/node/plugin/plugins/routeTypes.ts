@@ -0,0 +1,125 @@
+export { routeTypes }
+export { generateRouteTypes }
+
+import '../../page-files/setup'
+import type { Plugin, ResolvedConfig } from 'vite'
+import path from 'path'
+import fs from 'fs'
+import { apply } from '../helpers'
+import { assertConfigVpsResolved } from './config/assertConfigVps'
+import type { ConfigVpsResolved } from './config/ConfigVps'
+import { getPageFilesAll } from '../../../shared/getPageFiles'
+import { loadPageRoutes, PageRoutes } from '../../../shared/route/loadPageRoutes'
+import { getRouteStringParamNames } from '../../../shared/route/resolveRouteString'
+import { getGlobalContext } from '../../globalContext'
+import { assertWarning } from '../utils'
+
+type Config = ResolvedConfig & { vitePluginSsr: ConfigVpsResolved }
+
+// Generates the `.d.ts` file that defines the interface `VitePluginSsr.Routes`, see `shared/route/routeTypes.ts`
+function routeTypes(): Plugin[] {
+  let config: Config
+  const onConfigResolved = (config_: ResolvedConfig) => {
+    assertConfigVpsResolved(config_)
+    config = config_
+  }
+  return [
+    {
+      name: 'vite-plugin-ssr:routeTypes:dev',
+      apply: apply('dev'),
+      configResolved: onConfigResolved,
+      configureServer(viteDevServer) {
+        if (!config.vitePluginSsr.routeTypes) return
+        let timeout: undefined | ReturnType<typeof setTimeout>
+        const update = () => {
+          if (timeout) clearTimeout(timeout)
+          timeout = setTimeout(() => {
+            writeRouteTypes(config, false).catch((err) => {
+              // The route types are re-generated upon the next change of a page file
+              assertWarning(
+                false,
+                `Failed to generate the route types (config \`routeTypes\`): ${
+                  err instanceof Error ? err.message : String(err)
+                }`,
+                { onlyOnce: false }
+              )
+            })
+          }, 100)
+        }
+        viteDevServer.watcher.on('all', (_event, filePath) => {
+          if (filePath.includes('.page.')) update()
+        })
+        // Page files can be loaded only once the dev server is ready
+        if (viteDevServer.httpServer) {
+          viteDevServer.httpServer.once('listening', update)
+        } else {
+          update()
+        }
+      }
+    },
+    {
+      name: 'vite-plugin-ssr:routeTypes:build',
+      apply: 'build',
+      configResolved: onConfigResolved,
+      async closeBundle() {
+        // Page files are loaded from the server build
+        if (!config.build.ssr || !config.vitePluginSsr.routeTypes) return
+        await writeRouteTypes(config, true)
+      }
+    }
+  ] as Plugin[]
+}
+
+async function writeRouteTypes(config: Config, isProduction: boolean) {
+  const { routeTypes } = config.vitePluginSsr
+  if (!routeTypes) return
+  if (isProduction) {
+    await getGlobalContext(true)
+  }
+  const { pageFilesAll, allPageIds } = await getPageFilesAll(false, isProduction)
+  const { pageRoutes } = await loadPageRoutes({ _pageFilesAll: pageFilesAll, _allPageIds: allPageIds })
+  const content = generateRouteTypes(pageRoutes)
+  const filePath = path.resolve(config.root, routeTypes)
+  // Avoid triggering file watchers
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8') === content) return
+  await fs.promises.writeFile(filePath, content)
+}
+
+function generateRouteTypes(pageRoutes: PageRoutes): string {
+  const routes: Record<string, string[]> = {}
+  pageRoutes.forEach((pageRoute) => {
+    const routeParamsType =
+      pageRoute.routeType === 'FUNCTION' ? 'Record<string, string>' : getRouteParamsType(pageRoute.routeString)
+    // A page has several route strings if it has aliases
+    const routeParamsTypes = (routes[pageRoute.pageId] = routes[pageRoute.pageId] ?? [])
+    if (!routeParamsTypes.includes(routeParamsType)) routeParamsTypes.push(routeParamsType)
+  })
+  const lines = [
+    '// Generated by vite-plugin-ssr (config `routeTypes`).',
+    "// Don't edit this file: it's re-generated upon `$ vite dev` and `$ vite build`.",
+    '',
+    'export {}',
+    '',
+    'declare global {',
+    '  namespace VitePluginSsr {',
+    '    interface Routes {',
+    ...Object.keys(routes)
+      .sort()
+      .map((pageId) => `      ${JSON.stringify(pageId)}: ${routes[pageId]!.join(' | ')}`),
+    '    }',
+    '  }',
+    '}',
+    ''
+  ]
+  return lines.join('\n')
+}
+
+function getRouteParamsType(routeString: string): string {
+  const params = getRouteStringParamNames(routeString)
+  if (params.length === 0) return 'Record<string, never>'
+  const props = params.map(({ paramName, isOptional }) => {
+    const key = /^[a-zA-Z_$][\w$]*$/.test(paramName) ? paramName : JSON.stringify(paramName)
+    return `${key}${isOptional ? '?' : ''}: string`
+  })
+  return `{ ${props.join('; ')} }`
+}
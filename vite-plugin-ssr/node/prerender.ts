@@ -17,13 +17,16 @@ import {
   hasPropertyGetter,
   assertPosixPath,
   urlToFile,
-  callHookWithTimeout
+  parseUrl,
+  callHookWithTimeout,
+  HooksTimeout,
+  PromiseType
 } from './utils'
 import { pLimit, PLimit } from '../utils/pLimit'
 import { loadPageFilesServer, prerenderPage, renderStatic404Page } from './renderPage'
 import { blue, green, gray, cyan } from 'picocolors'
 import { cpus } from 'os'
-import { getPageFilesAll, PageFile } from '../shared/getPageFiles'
+import { getApiPageFile, getPageFilesAll, PageFile } from '../shared/getPageFiles'
 import { getGlobalContext, GlobalContext } from './globalContext'
 import { resolveConfig } from 'vite'
 import { assertConfigVpsResolved } from './plugin/plugins/config/assertConfigVps'
@@ -32,6 +35,7 @@ import { setProductionEnvVar } from '../shared/setProduction'
 import { getPageFilesServerSide } from '../shared/getPageFiles/analyzePageServerSide/getPageFilesServerSide'
 import { getPageContextRequestUrl } from '../shared/getPageContextRequestUrl'
 import { getUrlFromRouteString } from '../shared/route/resolveRouteString'
+import { isRenderRedirectException } from '../shared/RenderRedirect'
 
 export { prerender }
 
@@ -40,6 +44,7 @@ type HtmlFile = {
   pageContext: Record<string, unknown>
   htmlString: string
   pageContextSerialized: string | null
+  contentType: string | null
   doNotCreateExtraDirectory: boolean
   pageId: string | null
 }
@@ -59,6 +64,7 @@ type GlobalPrerenderingContext = GlobalContext & {
 
 type PageContext = GlobalPrerenderingContext & {
   urlOriginal: string
+  httpMethod: string
   _prerenderHookFile: string | null
   _pageContextAlreadyProvidedByPrerenderHook?: true
 }
@@ -322,11 +328,23 @@ async function handlePagesWithStaticRoutes(
           return
         }
 
+        // API endpoints `.page.api.js` aren't pre-rendered
+        if (getApiPageFile(globalContext._pageFilesAll, pageId)) {
+          return
+        }
+
         let urlOriginal: string
         if (!('routeString' in pageRoute)) {
           // Abort since the page's route is a Route Function
           assert(pageRoute.routeType === 'FUNCTION')
           return
+        } else if (
+          pageRoute.routeType === 'STRING' &&
+          pageRoute.canonicalRouteString &&
+          pageRoute.routeString !== pageRoute.canonicalRouteString
+        ) {
+          // Abort since the alias redirects to the canonical route string
+          return
         } else {
           const url = getUrlFromRouteString(pageRoute.routeString)
           if (!url) {
@@ -348,6 +366,8 @@ async function handlePagesWithStaticRoutes(
         objectAssign(pageContext, {
           _prerenderHookFile: null,
           routeParams,
+          routeParamsCoerced: routeParams,
+          routeString: pageRoute.routeString,
           _pageId: pageId,
           _routeMatches: [
             {
@@ -369,6 +389,8 @@ async function handlePagesWithStaticRoutes(
 function createPageContextObject(urlOriginal: string, globalContext: GlobalPrerenderingContext) {
   const pageContext = {
     urlOriginal,
+    // Pre-rendered pages are fetched with `GET`
+    httpMethod: 'GET',
     ...globalContext
   }
   // We cannot add the computed URL properties because they can be iterated & copied in a `onBeforePrerender()` hook, e.g. `/examples/i18n/'
@@ -378,6 +400,7 @@ function createPageContextObject(urlOriginal: string, globalContext: GlobalPrere
 
 async function callOnBeforePrerenderHook(globalContext: {
   _pageFilesAll: PageFile[]
+  _hooksTimeout: null | HooksTimeout
   prerenderPageContexts: PageContext[]
 }) {
   const pageFilesWithOnBeforePrerenderHook = globalContext._pageFilesAll.filter((p) => {
@@ -434,7 +457,9 @@ async function callOnBeforePrerenderHook(globalContext: {
     assert(pageContext.urlOriginal)
   })
 
-  const result = await callHookWithTimeout(() => onBeforePrerender(globalContext), 'onBeforePrerender', hookFilePath)
+  const result = await callHookWithTimeout(() => onBeforePrerender(globalContext), 'onBeforePrerender', hookFilePath, {
+    hooksTimeout: [globalContext._hooksTimeout]
+  })
   if (result === null || result === undefined) {
     return
   }
@@ -461,6 +486,8 @@ async function callOnBeforePrerenderHook(globalContext: {
       pageContext.urlOriginal = pageContext.url
     }
     delete pageContext.url
+    // The `pageContext` objects may have been created by the `onBeforePrerender()` hook
+    pageContext.httpMethod ??= 'GET'
   })
 }
 
@@ -476,7 +503,18 @@ async function routeAndPrerender(
       concurrencyLimit(async () => {
         const { urlOriginal, _prerenderHookFile: prerenderHookFile } = pageContext
         assert(urlOriginal)
-        const routeResult = await route(pageContext)
+        let routeResult: PromiseType<ReturnType<typeof route>>
+        try {
+          routeResult = await route(pageContext)
+        } catch (err) {
+          assertUsage(
+            !isRenderRedirectException(err),
+            `Your \`prerender()\` hook defined in \`${prerenderHookFile}\` returns an URL \`${urlOriginal}\` that redirects to \`${
+              (err as { url: string }).url
+            }\` but only URLs that don't redirect can be pre-rendered.`
+          )
+          throw err
+        }
         assert(
           hasProp(routeResult.pageContextAddendum, '_pageId', 'null') ||
             hasProp(routeResult.pageContextAddendum, '_pageId', 'string')
@@ -500,6 +538,15 @@ async function routeAndPrerender(
         objectAssign(pageContext, routeResult.pageContextAddendum)
         const { _pageId: pageId } = pageContext
 
+        if (getApiPageFile(globalContext._pageFilesAll, pageId)) {
+          assertUsage(
+            prerenderHookFile === null,
+            `Your \`prerender()\` hook defined in \`${prerenderHookFile}\` returns an URL \`${urlOriginal}\` that matches the API endpoint \`${pageId}.page.api.js\` but API endpoints cannot be pre-rendered.`
+          )
+          // Abort since API endpoints aren't pre-rendered
+          return
+        }
+
         const pageFilesData = await loadPageFilesServer({
           ...globalContext,
           urlOriginal,
@@ -510,12 +557,13 @@ async function routeAndPrerender(
 
         objectAssign(pageContext, { is404: null })
 
-        const { documentHtml, pageContextSerialized } = await prerenderPage(pageContext)
+        const { documentHtml, pageContextSerialized, contentType } = await prerenderPage(pageContext)
         htmlFiles.push({
           urlOriginal,
           pageContext,
           htmlString: documentHtml,
           pageContextSerialized,
+          contentType,
           doNotCreateExtraDirectory: globalContext._noExtraDir,
           pageId
         })
@@ -544,11 +592,12 @@ function warnContradictoryNoPrerenderList(
 function warnMissingPages(
   prerenderPageIds: Record<string, unknown>,
   doNotPrerenderList: DoNotPrerenderList,
-  globalContext: { _allPageIds: string[] },
+  globalContext: { _allPageIds: string[]; _pageFilesAll: PageFile[] },
   partial: boolean
 ) {
   globalContext._allPageIds
     .filter((pageId) => !prerenderPageIds[pageId])
+    .filter((pageId) => !getApiPageFile(globalContext._pageFilesAll, pageId))
     .filter((pageId) => !doNotPrerenderList.find((p) => p.pageId === pageId))
     .filter((pageId) => !isErrorPageId(pageId))
     .forEach((pageId) => {
@@ -571,6 +620,7 @@ async function prerender404Page(htmlFiles: HtmlFile[], globalContext: GlobalPrer
         pageContext,
         htmlString: documentHtml,
         pageContextSerialized: null,
+        contentType: null,
         doNotCreateExtraDirectory: true,
         pageId: null
       })
@@ -579,7 +629,15 @@ async function prerender404Page(htmlFiles: HtmlFile[], globalContext: GlobalPrer
 }
 
 async function writeHtmlFile(
-  { urlOriginal, pageContext, htmlString, pageContextSerialized, doNotCreateExtraDirectory, pageId }: HtmlFile,
+  {
+    urlOriginal,
+    pageContext,
+    htmlString,
+    pageContextSerialized,
+    contentType,
+    doNotCreateExtraDirectory,
+    pageId
+  }: HtmlFile,
   root: string,
   outDirClient: string,
   doNotPrerenderList: DoNotPrerenderList,
@@ -592,13 +650,13 @@ async function writeHtmlFile(
 
   const writeJobs = [
     write(
-      urlOriginal,
+      contentType === null
+        ? urlToFile(urlOriginal, '.html', doNotCreateExtraDirectory)
+        : getFileUrlNonHtml(urlOriginal, contentType),
       pageContext,
-      '.html',
       htmlString,
       root,
       outDirClient,
-      doNotCreateExtraDirectory,
       concurrencyLimit,
       onPagePrerender,
       logLevel
@@ -607,13 +665,11 @@ async function writeHtmlFile(
   if (pageContextSerialized !== null) {
     writeJobs.push(
       write(
-        urlOriginal,
+        getPageContextRequestUrl(urlOriginal),
         pageContext,
-        '.pageContext.json',
         pageContextSerialized,
         root,
         outDirClient,
-        doNotCreateExtraDirectory,
         concurrencyLimit,
         onPagePrerender,
         logLevel
@@ -624,25 +680,16 @@ async function writeHtmlFile(
 }
 
 function write(
-  urlOriginal: string,
+  fileUrl: string,
   pageContext: Record<string, unknown>,
-  fileExtension: '.html' | '.pageContext.json',
   fileContent: string,
   root: string,
   outDirClient: string,
-  doNotCreateExtraDirectory: boolean,
   concurrencyLimit: PLimit,
   onPagePrerender: Function | undefined,
   logLevel: 'info' | 'warn'
 ) {
   return concurrencyLimit(async () => {
-    let fileUrl: string
-    if (fileExtension === '.html') {
-      fileUrl = urlToFile(urlOriginal, '.html', doNotCreateExtraDirectory)
-    } else {
-      fileUrl = getPageContextRequestUrl(urlOriginal)
-    }
-
     assertPosixPath(fileUrl)
     assert(fileUrl.startsWith('/'))
     const filePathRelative = fileUrl.slice(1)
@@ -678,6 +725,34 @@ function write(
   })
 }
 
+const fileExtensions: Record<string, string> = {
+  'application/xml': '.xml',
+  'text/xml': '.xml',
+  'application/rss+xml': '.rss',
+  'application/atom+xml': '.atom',
+  'application/json': '.json',
+  'application/manifest+json': '.webmanifest',
+  'text/plain': '.txt',
+  'text/css': '.css',
+  'text/csv': '.csv',
+  'image/svg+xml': '.svg'
+}
+// Non-HTML pages keep the file extension of their URL, e.g. `/sitemap.xml`, or get one from their content type, e.g. `/feed` => `/feed.rss`
+function getFileUrlNonHtml(urlOriginal: string, contentType: string): string {
+  const { pathnameOriginal } = parseUrl(urlOriginal, '/')
+  const fileName = pathnameOriginal.split('/').slice(-1)[0]!
+  if (fileName.includes('.')) {
+    return pathnameOriginal
+  }
+  const mimeType = contentType.split(';')[0]!.trim().toLowerCase()
+  const fileExtension = fileExtensions[mimeType]
+  assertUsage(
+    fileExtension,
+    `Cannot pre-render \`${urlOriginal}\` with the content type \`${contentType}\`: add a file extension to its URL, e.g. \`${pathnameOriginal}.txt\`.`
+  )
+  return (pathnameOriginal.endsWith('/') ? pathnameOriginal + 'index' : pathnameOriginal) + fileExtension
+}
+
 function normalizePrerenderResult(
   prerenderResult: unknown,
   prerenderHookFile: string
@@ -1,8 +1,15 @@
-import { getErrorPageId, route, isErrorPageId, RouteMatches } from '../shared/route'
+import { getErrorPageId, route, isErrorPageId, RouteMatches, RouteParamsCoerced } from '../shared/route'
 import { HtmlRender, isDocumentHtml, renderHtml, getHtmlString } from './html/renderHtml'
-import { PageFile, PageContextExports, getExportUnion, getPageFilesAll, ExportsAll } from '../shared/getPageFiles'
+import {
+  PageFile,
+  PageContextExports,
+  getExportUnion,
+  getPageFilesAll,
+  ExportsAll,
+  getApiPageFile
+} from '../shared/getPageFiles'
 import { analyzePageClientSide, analyzePageClientSideInit } from '../shared/getPageFiles/analyzePageClientSide'
-import { getHook } from '../shared/getHook'
+import { getHook, getHooksTimeout } from '../shared/getHook'
 import { stringify } from '@brillout/json-serializer/stringify'
 import pc from 'picocolors'
 import {
@@ -20,41 +27,48 @@ import {
   makeFirst,
   isSameErrorMessage,
   createDebugger,
-  callHookWithTimeout
+  callHookWithTimeout,
+  createAbortController,
+  forwardAbort,
+  HooksTimeout
 } from './utils'
 import type { PageAsset } from './html/injectAssets'
 import { getPageAssets } from './renderPage/getPageAssets'
 import { sortPageContext } from '../shared/sortPageContext'
 import { assertHookResult, assertObjectKeys } from '../shared/assertHookResult'
-import {
-  getStreamReadableNode,
-  getStreamReadableWeb,
-  pipeToStreamWritableWeb,
-  pipeToStreamWritableNode,
-  StreamPipeNode,
-  StreamPipeWeb,
-  StreamReadableNode,
-  StreamReadableWeb,
-  StreamWritableNode,
-  StreamWritableWeb,
-  isStream,
-  getStreamName,
-  inferStreamName,
-  isStreamWritableWeb,
-  isStreamWritableNode
-} from './html/stream'
+import { isStream } from './html/stream'
 import { addIs404ToPageProps, serializePageContextClientSide } from './serializePageContextClientSide'
 import { addComputedUrlProps, assertURLs, PageContextUrls } from '../shared/addComputedUrlProps'
 import { assertPageContextProvidedByUser } from '../shared/assertPageContextProvidedByUser'
 import { isRenderErrorPageException, assertRenderErrorPageExceptionUsage } from './renderPage/RenderErrorPage'
+import type { ErrorStatusCode } from './renderPage/RenderErrorPage'
+import {
+  isRenderRedirectException,
+  assertRenderRedirectExceptionUsage,
+  RedirectStatusCode
+} from '../shared/RenderRedirect'
+import {
+  createHttpResponseObject,
+  createHttpResponseObjectRedirect,
+  createHttpResponseObjectPlain,
+  HttpResponse
+} from './renderPage/createHttpResponseObject'
 import { log404 } from './renderPage/log404'
+import { addHeadersResponse, PageContextHeadersResponse } from './renderPage/addHeadersResponse'
 import { getGlobalContext, GlobalContext } from './globalContext'
 import { viteAlreadyLoggedError, viteErrorCleanup } from './viteLogging'
+import { callOnErrorHook, PageContextOnError, setErrorPhase } from './renderPage/onErrorHook'
 import type { ViteDevServer } from 'vite'
 import { ViteManifest } from './viteManifest'
 import type { ClientDependency } from '../shared/getPageFiles/analyzePageClientSide/ClientDependency'
 import { loadPageFilesServerSide } from '../shared/getPageFiles/analyzePageServerSide/loadPageFilesServerSide'
 import { handlePageContextRequestUrl } from './renderPage/handlePageContextRequestUrl'
+import { getIfNoneMatch, PageContextEtag } from './renderPage/etag'
+import { getRenderCache, renderWithCache } from './renderPage/renderCache'
+import { measure, PageContextTimings } from './renderPage/timings'
+import { loadApiPageFiles, renderApiRoute } from './renderPage/renderApiRoute'
+import { getAllowHeader, getHttpMethod, getHttpMethodsAllowed } from './renderPage/httpMethod'
+import { getRenderWorkers, renderPageInWorker } from './renderPage/renderWorkers'
 
 export { renderPage }
 export { prerenderPage }
@@ -66,11 +80,21 @@ type GlobalRenderingContext = GlobalContext & {
   _pageFilesAll: PageFile[]
 }
 
-type RenderResult = { urlOriginal: string; httpResponse: null | HttpResponse; errorWhileRendering: null | Error }
+type RenderResult = {
+  urlOriginal: string
+  httpMethod: string
+  httpResponse: null | HttpResponse
+  errorWhileRendering: null | Error
+}
 
-async function renderPage_(pageContextInit: { urlOriginal: string }, pageContext: {}): Promise<RenderResult> {
+async function renderPage_(
+  pageContextInit: { urlOriginal: string },
+  pageContext: PageContextTimings
+): Promise<RenderResult> {
   {
-    const pageContextInitAddendum = await initializePageContext(pageContextInit)
+    const pageContextInitAddendum = await measure(pageContext, 'initializePageContext', () =>
+      initializePageContext(pageContextInit)
+    )
     objectAssign(pageContext, pageContextInitAddendum)
   }
 
@@ -82,11 +106,48 @@ async function renderPage_(pageContextInit: { urlOriginal: string }, pageContext
   addComputedUrlProps(pageContext)
 
   // *** Route ***
-  const routeResult = await route(pageContext)
+  const routeResult = await measure(pageContext, 'route', () => route(pageContext))
   objectAssign(pageContext, routeResult.pageContextAddendum)
   const is404 = hasProp(pageContext, '_pageId', 'string') ? null : true
   objectAssign(pageContext, { is404 })
 
+  // *** API Route ***
+  const apiPageFile = hasProp(pageContext, '_pageId', 'string')
+    ? getApiPageFile(pageContext._pageFilesAll, pageContext._pageId)
+    : null
+  if (apiPageFile && pageContext._isPageContextRequest) {
+    // The client-side router never navigates to an API route: we handle its `.pageContext.json` request as if no page matched the URL
+    objectAssign(pageContext, { _pageId: null, is404: true })
+  }
+  if (apiPageFile && hasProp(pageContext, '_pageId', 'string')) {
+    const pageFiles = await measure(pageContext, 'loadPageFiles', () =>
+      loadApiPageFiles(pageContext._pageFilesAll, pageContext._pageId, apiPageFile)
+    )
+    objectAssign(pageContext, pageFiles)
+    await measure(pageContext, 'guard', () => executeGuardHook(pageContext))
+    let httpResponse: HttpResponse
+    let errorWhileRendering: null | Error = null
+    try {
+      httpResponse = await renderApiRoute(pageContext, apiPageFile)
+    } catch (err) {
+      assertError(err)
+      // `RenderErrorPage()` and `RenderRedirect()` are handled by `renderPage()`, same as for `guard()`
+      if (isRenderErrorPageException(err) || isRenderRedirectException(err)) throw err
+      await logError(err, pageContext)
+      // The client of an API route expects data: we don't render the error page `_error.page.js`
+      httpResponse = createHttpResponseObjectPlain(
+        'Internal Server Error',
+        500,
+        'text/plain;charset=utf-8',
+        [],
+        pageContext
+      )
+      errorWhileRendering = err as Error
+    }
+    objectAssign(pageContext, { httpResponse, errorWhileRendering })
+    return pageContext
+  }
+
   objectAssign(pageContext, { errorWhileRendering: null })
   return renderPageContext(pageContext)
 }
@@ -98,10 +159,15 @@ async function renderPageContext(
     _isPageContextRequest: boolean
     _allPageIds: string[]
     is404: null | boolean
+    statusCode?: ErrorStatusCode
     routeParams: Record<string, string>
     errorWhileRendering: null | Error
+    httpMethod: string
+    _pageIdOfOriginalError?: null | string
   } & PageContextUrls &
-    PageContext_loadPageFilesServer
+    PageContext_loadPageFilesServer &
+    PageContextEtag &
+    PageContextTimings
 ): Promise<RenderResult> {
   if (pageContext.is404) log404(pageContext)
 
@@ -109,7 +175,12 @@ async function renderPageContext(
 
   if (isError) {
     assert(pageContext._pageId === null)
-    const errorPageId = getErrorPageId(pageContext._allPageIds)
+    objectAssign(pageContext, { statusCode: pageContext.statusCode ?? (pageContext.is404 ? 404 : 500) })
+    const errorPageId = getErrorPageId(pageContext._allPageIds, {
+      pageId: pageContext._pageIdOfOriginalError ?? null,
+      urlPathname: pageContext.urlPathname,
+      is404: pageContext.is404 === true
+    })
     if (errorPageId) {
       objectAssign(pageContext, { _pageId: errorPageId })
     } else {
@@ -124,50 +195,81 @@ async function renderPageContext(
   //  - ID of the error page `_error.page.js`.
   assert(hasProp(pageContext, '_pageId', 'string'))
 
-  const pageFiles = await loadPageFilesServer(pageContext)
+  const pageFiles = await measure(pageContext, 'loadPageFiles', () => loadPageFilesServer(pageContext))
   objectAssign(pageContext, pageFiles)
 
-  if (!isError) {
-    await executeOnBeforeRenderHooks(pageContext)
-  } else {
-    try {
-      await executeOnBeforeRenderHooks(pageContext)
-    } catch (err) {
-      logErrorIfDifferentFromOriginal(err, pageContext.errorWhileRendering)
+  // `.pageContext.json` requests are always `GET` requests made by the client-side router
+  if (!isError && !pageContext._isPageContextRequest && pageContext.httpMethod) {
+    const methodsAllowed = getHttpMethodsAllowed(pageContext)
+    if (methodsAllowed && !(methodsAllowed as string[]).includes(pageContext.httpMethod)) {
+      const httpResponse = createHttpResponseObjectPlain(
+        '',
+        405,
+        'text/plain;charset=utf-8',
+        [getAllowHeader(methodsAllowed)],
+        pageContext
+      )
+      objectAssign(pageContext, { httpResponse })
+      return pageContext
     }
   }
 
-  if (pageContext._isPageContextRequest) {
-    if (isError) {
-      objectAssign(pageContext, { _isError: true })
+  // We run `guard()` before the render cache: a cached page shouldn't be served to a user who isn't allowed to see it
+  if (!isError) {
+    await measure(pageContext, 'guard', () => executeGuardHook(pageContext))
+  }
+
+  const executeHooks = async (pageContextToRender: typeof pageContext) => {
+    if (!isError) {
+      await measure(pageContextToRender, 'onBeforeRender', () => executeOnBeforeRenderHooks(pageContextToRender))
+    } else {
+      try {
+        await measure(pageContextToRender, 'onBeforeRender', () => executeOnBeforeRenderHooks(pageContextToRender))
+      } catch (err) {
+        await logErrorIfDifferentFromOriginal(err, pageContextToRender.errorWhileRendering, pageContextToRender)
+      }
     }
-    const body: string = serializePageContextClientSide(pageContext)
-    const httpResponse = createHttpResponseObject(body, null, pageContext)
-    objectAssign(pageContext, { httpResponse })
-    return pageContext
+
+    if (pageContextToRender._isPageContextRequest) {
+      if (isError) {
+        objectAssign(pageContextToRender, { _isError: true })
+      }
+      const body: string = serializePageContextClientSide(pageContextToRender)
+      return { htmlRender: body, renderFilePath: null }
+    }
+
+    return executeRenderHook(pageContextToRender)
   }
 
-  const renderHookResult = await executeRenderHook(pageContext)
+  const renderCache = isError ? null : getRenderCache(pageContext)
+  const { htmlRender, renderFilePath } = renderCache
+    ? await renderWithCache(pageContext, renderCache, executeHooks, (err) =>
+        logError(err, pageContext).catch((errLog) => console.error(errLog))
+      )
+    : await executeHooks(pageContext)
 
-  if (renderHookResult.htmlRender === null) {
+  if (htmlRender === null) {
     objectAssign(pageContext, { httpResponse: null })
     return pageContext
   } else {
-    const { htmlRender, renderFilePath } = renderHookResult
     const httpResponse = createHttpResponseObject(htmlRender, renderFilePath, pageContext)
     objectAssign(pageContext, { httpResponse })
     return pageContext
   }
 }
 
-function handleErrorWithoutErrorPage(pageContext: {
-  _isPageContextRequest: boolean
-  errorWhileRendering: null | Error
-  is404: null | boolean
-  _pageId: null
-  urlOriginal: string
-  _isProduction: boolean
-}): RenderResult {
+function handleErrorWithoutErrorPage(
+  pageContext: {
+    _isPageContextRequest: boolean
+    errorWhileRendering: null | Error
+    is404: null | boolean
+    statusCode: ErrorStatusCode
+    _pageId: null
+    urlOriginal: string
+    httpMethod: string
+    _isProduction: boolean
+  } & PageContextEtag
+): RenderResult {
   assert(pageContext._pageId === null) // User didn't define a `_error.page.js` file
   assert(pageContext.errorWhileRendering || pageContext.is404)
 
@@ -183,13 +285,27 @@ function handleErrorWithoutErrorPage(pageContext: {
   }
 }
 
-async function initializePageContext(pageContextInit: { urlOriginal: string }) {
+async function initializePageContext(pageContextInit: {
+  urlOriginal: string
+  method?: unknown
+  abortSignal?: unknown
+}) {
   const { urlOriginal } = pageContextInit
   assert(urlOriginal)
 
+  const abortController = createAbortController()
+  const removeAbortListener =
+    abortController && pageContextInit.abortSignal !== undefined
+      ? forwardAbort(pageContextInit.abortSignal, abortController)
+      : null
   const pageContextAddendum = {
     _isPreRendering: false as const,
-    ...pageContextInit
+    ...pageContextInit,
+    httpMethod: getHttpMethod(pageContextInit),
+    _ifNoneMatch: getIfNoneMatch(pageContextInit),
+    _abortController: abortController,
+    _removeAbortListener: removeAbortListener,
+    abortSignal: abortController?.signal
   }
 
   if (urlOriginal.endsWith('/__vite_ping') || urlOriginal.endsWith('/favicon.ico') || !isParsable(urlOriginal)) {
@@ -233,11 +349,13 @@ async function renderPage<
     url?: string
     /** The URL of the HTTP request */
     urlOriginal?: string
+    /** The HTTP method of the request, e.g. `req.method` */
+    method?: string
   }
 >(
   pageContextInit: PageContextInit
 ): Promise<
-  PageContextInit & { errorWhileRendering: null | unknown } & (
+  PageContextInit & { errorWhileRendering: null | unknown; httpMethod: string } & (
       | ({ httpResponse: HttpResponse } & PageContextAdded)
       | ({ httpResponse: null } & Partial<PageContextAdded>)
     )
@@ -246,34 +364,50 @@ async function renderPage<
   assert(hasProp(pageContextInit, 'urlOriginal', 'string'))
 
   const pageContextOfOriginalError = {}
+  const pageContextErrorPage = {}
   try {
+    const renderWorkers = await getRenderWorkers()
+    if (renderWorkers) {
+      return await renderPageInWorker(pageContextInit, renderWorkers)
+    }
     return await renderPage_(pageContextInit, pageContextOfOriginalError)
   } catch (errOriginal) {
     assertError(errOriginal)
+    if (isRenderRedirectException(errOriginal)) {
+      return renderRedirect(pageContextInit, errOriginal, pageContextOfOriginalError)
+    }
     if (!isRenderErrorPageException(errOriginal)) {
-      logError(errOriginal)
+      await logError(errOriginal, pageContextOfOriginalError)
     }
     try {
-      return await renderErrorPage(pageContextInit, errOriginal, pageContextOfOriginalError)
+      return await renderErrorPage(pageContextInit, errOriginal, pageContextOfOriginalError, pageContextErrorPage)
     } catch (err) {
-      logErrorIfDifferentFromOriginal(err, errOriginal)
+      await logErrorIfDifferentFromOriginal(err, errOriginal, pageContextErrorPage)
       const pageContext = {}
       objectAssign(pageContext, pageContextInit)
       objectAssign(pageContext, {
+        httpMethod: getHttpMethod(pageContextInit),
         httpResponse: null,
         errorWhileRendering: errOriginal
       })
       return pageContext
     }
+  } finally {
+    // Rendering is done: `pageContextInit.abortSignal` shouldn't keep a reference to our abort controllers
+    removeAbortListeners(pageContextOfOriginalError, pageContextErrorPage)
   }
 }
 
+function removeAbortListeners(...pageContexts: { _removeAbortListener?: null | (() => void) }[]) {
+  pageContexts.forEach((pageContext) => pageContext._removeAbortListener?.())
+}
+
 async function renderErrorPage<PageContextInit extends { urlOriginal: string }>(
   pageContextInit: PageContextInit,
   errOriginal: unknown,
-  pageContextOfOriginalError: Record<string, unknown>
+  pageContextOfOriginalError: Record<string, unknown>,
+  pageContext: PageContextTimings
 ) {
-  const pageContext = {}
   {
     const pageContextInitAddendum = await initializePageContext(pageContextInit)
     objectAssign(pageContext, pageContextInitAddendum)
@@ -287,23 +421,51 @@ async function renderErrorPage<PageContextInit extends { urlOriginal: string }>(
     is404: false,
     _pageId: null,
     errorWhileRendering: errOriginal as Error,
-    routeParams: {} as Record<string, string>
+    routeParams: {} as Record<string, string>,
+    routeParamsCoerced: {} as RouteParamsCoerced,
+    routeString: null
   })
 
   if (isRenderErrorPageException(pageContext.errorWhileRendering)) {
-    objectAssign(pageContext, { is404: true })
+    const { statusCode } = pageContext.errorWhileRendering
+    objectAssign(pageContext, { is404: statusCode === 404, statusCode })
     objectAssign(pageContext, pageContext.errorWhileRendering.pageContext)
   }
 
   objectAssign(pageContext, {
-    _routeMatches: (pageContextOfOriginalError as PageContextDebug)._routeMatches || 'ROUTE_ERROR'
+    _routeMatches: (pageContextOfOriginalError as PageContextDebug)._routeMatches || 'ROUTE_ERROR',
+    // Used for finding the nearest `_error.page.js`
+    _pageIdOfOriginalError: hasProp(pageContextOfOriginalError, '_pageId', 'string')
+      ? pageContextOfOriginalError._pageId
+      : null
   })
 
   return renderPageContext(pageContext)
 }
 
+function renderRedirect<PageContextInit extends { urlOriginal: string; method?: unknown }>(
+  pageContextInit: PageContextInit,
+  redirect: { url: string; statusCode: RedirectStatusCode },
+  pageContextOfOriginalError: PageContextHeadersResponse
+) {
+  const { isPageContextRequest } = handlePageContextRequestUrl(pageContextInit.urlOriginal)
+  const httpResponse = createHttpResponseObjectRedirect(redirect, {
+    _isPageContextRequest: isPageContextRequest,
+    _headersResponse: pageContextOfOriginalError._headersResponse
+  })
+  const pageContext = {}
+  objectAssign(pageContext, pageContextInit)
+  objectAssign(pageContext, {
+    httpMethod: getHttpMethod(pageContextInit),
+    httpResponse,
+    errorWhileRendering: null
+  })
+  return pageContext
+}
+
 function assertError(err: unknown) {
   assertRenderErrorPageExceptionUsage(err)
+  assertRenderRedirectExceptionUsage(err)
   if (!isObject(err)) {
     console.warn('[vite-plugin-ssr] The thrown value is:')
     console.warn(err)
@@ -315,170 +477,6 @@ function assertError(err: unknown) {
   }
 }
 
-type StatusCode = 200 | 404 | 500
-type ContentType = 'application/json' | 'text/html;charset=utf-8'
-type HttpResponse = {
-  statusCode: StatusCode
-  contentType: ContentType
-  body: string
-  getBody: () => Promise<string>
-  getReadableWebStream: () => StreamReadableWeb
-  pipe: (writable: StreamWritableWeb | StreamWritableNode) => void
-  /** @deprecated */
-  getNodeStream: () => Promise<StreamReadableNode>
-  /** @deprecated */
-  getWebStream: () => StreamReadableWeb
-  /** @deprecated */
-  pipeToNodeWritable: StreamPipeNode
-  /** @deprecated */
-  pipeToWebWritable: StreamPipeWeb
-}
-function createHttpResponseObject(
-  htmlRender: null | HtmlRender,
-  renderFilePath: null | string,
-  pageContext: {
-    _isPageContextRequest: boolean
-    _pageId: null | string
-    is404: null | boolean
-    errorWhileRendering: null | Error
-  }
-): HttpResponse | null {
-  if (htmlRender === null) {
-    return null
-  }
-
-  let statusCode: StatusCode
-  {
-    const isError = !pageContext._pageId || isErrorPageId(pageContext._pageId)
-    if (pageContext.errorWhileRendering) {
-      assert(isError)
-    }
-    if (!isError) {
-      assert(pageContext.is404 === null)
-      statusCode = 200
-    } else {
-      assert(pageContext.is404 === true || pageContext.is404 === false)
-      statusCode = pageContext.is404 ? 404 : 500
-    }
-  }
-
-  // The `.pageContext.json` HTTP request's body is generated by `@brillout/json-serializer` thus always a string
-  assert(!pageContext._isPageContextRequest || typeof htmlRender === 'string')
-
-  const streamDocs = 'See https://vite-plugin-ssr.com/stream for more information.'
-
-  return {
-    statusCode,
-    contentType: pageContext._isPageContextRequest ? 'application/json' : 'text/html;charset=utf-8',
-    get body() {
-      if (typeof htmlRender !== 'string') {
-        assert(renderFilePath)
-        assertUsage(
-          false,
-          errMsg('body', 'Use `pageContext.httpResponse.pipe()` or `pageContext.httpResponse.getBody()` instead')
-        )
-      }
-      const body = htmlRender
-      return body
-    },
-    async getBody(): Promise<string> {
-      const body = await getHtmlString(htmlRender)
-      return body
-    },
-    async getNodeStream() {
-      assertWarning(
-        false,
-        '`pageContext.httpResponse.getNodeStream()` is outdated, use `pageContext.httpResponse.pipe()` instead. ' +
-          streamDocs,
-        { onlyOnce: true, showStackTrace: true }
-      )
-      const nodeStream = await getStreamReadableNode(htmlRender)
-      assertUsage(nodeStream !== null, errMsg('getNodeStream()', fixMsg('readable', 'node')))
-      return nodeStream
-    },
-    getWebStream() {
-      assertWarning(
-        false,
-        '`pageContext.httpResponse.getWebStream(res)` is outdated, use `pageContext.httpResponse.getReadableWebStream(res)` instead. ' +
-          streamDocs,
-        { onlyOnce: true, showStackTrace: true }
-      )
-      const webStream = getStreamReadableWeb(htmlRender)
-      assertUsage(webStream !== null, errMsg('getWebStream()', fixMsg('readable', 'web')))
-      return webStream
-    },
-    getReadableWebStream() {
-      const webStream = getStreamReadableWeb(htmlRender)
-      assertUsage(webStream !== null, errMsg('getReadableWebStream()', fixMsg('readable', 'web')))
-      return webStream
-    },
-    pipeToWebWritable(writable: StreamWritableWeb) {
-      assertWarning(
-        false,
-        '`pageContext.httpResponse.pipeToWebWritable(res)` is outdated, use `pageContext.httpResponse.pipe(res)` instead. ' +
-          streamDocs,
-        { onlyOnce: true, showStackTrace: true }
-      )
-      const success = pipeToStreamWritableWeb(htmlRender, writable)
-      assertUsage(success, errMsg('pipeToWebWritable()'))
-    },
-    pipeToNodeWritable(writable: StreamWritableNode) {
-      assertWarning(
-        false,
-        '`pageContext.httpResponse.pipeToNodeWritable(res)` is outdated, use `pageContext.httpResponse.pipe(res)` instead. ' +
-          streamDocs,
-        { onlyOnce: true, showStackTrace: true }
-      )
-      const success = pipeToStreamWritableNode(htmlRender, writable)
-      assertUsage(success, errMsg('pipeToNodeWritable()'))
-    },
-    pipe(writable: StreamWritableNode | StreamWritableWeb) {
-      if (isStreamWritableWeb(writable)) {
-        const success = pipeToStreamWritableWeb(htmlRender, writable)
-        assertUsage(success, errMsg('pipe()'))
-        return
-      }
-      if (isStreamWritableNode(writable)) {
-        const success = pipeToStreamWritableNode(htmlRender, writable)
-        assertUsage(success, errMsg('pipe()'))
-        return
-      }
-      assertUsage(
-        false,
-        `The argument \`writable\` passed to \`pageContext.httpResponse.pipe(writable)\` doesn't seem to be ${getStreamName(
-          'writable',
-          'web'
-        )} nor ${getStreamName('writable', 'node')}.`
-      )
-    }
-  }
-
-  function errMsg(method: string, fixMsg?: string) {
-    let htmlRenderName: string
-    if (typeof htmlRender === 'string') {
-      htmlRenderName = 'an HTML string'
-    } else if (isStream(htmlRender)) {
-      htmlRenderName = inferStreamName(htmlRender)
-    } else {
-      assert(false)
-    }
-    assert(['a ', 'an ', 'the '].some((s) => htmlRenderName.startsWith(s)))
-    assert(!fixMsg || !fixMsg.endsWith('.'))
-    return [
-      `\`pageContext.httpResponse.${method}\` can't be used because your \`render()\` hook (${renderFilePath}) provides ${htmlRenderName}`,
-      fixMsg,
-      streamDocs
-    ]
-      .filter(Boolean)
-      .join('. ')
-  }
-  function fixMsg(type: 'pipe' | 'readable', standard: 'web' | 'node') {
-    const streamName = getStreamName(type, standard)
-    assert(['a ', 'an ', 'the '].some((s) => streamName.startsWith(s)))
-    return `Make sure your \`render()\` hook provides ${streamName} instead`
-  }
-}
-
 async function prerenderPage(
   pageContext: {
     urlOriginal: string
@@ -510,16 +508,19 @@ async function prerenderPage(
   assert(pageContext._isPageContextRequest === false)
   const documentHtml = await getHtmlString(renderHookResult.htmlRender)
   assert(typeof documentHtml === 'string')
-  if (!pageContext._usesClientRouter) {
-    return { documentHtml, pageContextSerialized: null, pageContext }
+  // Non-HTML pages, e.g. `/sitemap.xml`
+  const contentType = hasProp(pageContext, '_contentType', 'string') ? pageContext._contentType : null
+  if (!pageContext._usesClientRouter || contentType !== null) {
+    return { documentHtml, pageContextSerialized: null, pageContext, contentType }
   } else {
     const pageContextSerialized = serializePageContextClientSide(pageContext)
-    return { documentHtml, pageContextSerialized, pageContext }
+    return { documentHtml, pageContextSerialized, pageContext, contentType }
   }
 }
 
 async function renderStatic404Page(globalContext: GlobalRenderingContext & { _isPreRendering: true }) {
-  const errorPageId = getErrorPageId(globalContext._allPageIds)
+  // `dist/client/404.html` is rendered by the root `_404.page.js`, or the root `_error.page.js` if there isn't any
+  const errorPageId = getErrorPageId(globalContext._allPageIds, { pageId: null, urlPathname: '/', is404: true })
   if (!errorPageId) {
     return null
   }
@@ -528,7 +529,10 @@ async function renderStatic404Page(globalContext: GlobalRenderingContext & { _is
     ...globalContext,
     _pageId: errorPageId,
     is404: true,
+    statusCode: 404 as const,
     routeParams: {},
+    routeParamsCoerced: {},
+    routeString: null,
     urlOriginal: '/fake-404-url', // A URL is needed for `applyViteHtmlTransform`
     // `renderStatic404Page()` is about generating `dist/client/404.html` for static hosts; there is no Client Routing.
     _usesClientRouter: false,
@@ -712,12 +716,39 @@ function samePageFiles(pageFiles1: PageFile[], pageFiles2: PageFile[]) {
   )
 }
 
+async function executeGuardHook(
+  pageContext: {
+    _pageId: string
+    _abortController?: null | AbortController
+    _hooksTimeout?: null | HooksTimeout
+  } & PageContextExports &
+    PageContextPublic
+): Promise<void> {
+  const hook = getHook(pageContext, 'guard')
+  if (!hook) {
+    return
+  }
+  const guard = hook.hook
+  preparePageContextForRelease(pageContext)
+  const hookResult = await callHookWithTimeout(() => guard(pageContext), 'guard', hook.filePath, {
+    abortController: pageContext._abortController,
+    hooksTimeout: [getHooksTimeout(pageContext), pageContext._hooksTimeout]
+  })
+  assertUsage(
+    hookResult === undefined,
+    `The guard() hook of ${hook.filePath} isn't allowed to return a value: throw \`RenderErrorPage()\` or \`RenderRedirect()\` instead to deny access.`
+  )
+}
+
 async function executeOnBeforeRenderHooks(
   pageContext: {
     _pageId: string
     _pageContextAlreadyProvidedByPrerenderHook?: true
+    _abortController?: null | AbortController
+    _hooksTimeout?: null | HooksTimeout
   } & PageContextExports &
-    PageContextPublic
+    PageContextPublic &
+    PageContextHeadersResponse
 ): Promise<void> {
   if (pageContext._pageContextAlreadyProvidedByPrerenderHook) {
     return
@@ -728,11 +759,15 @@ async function executeOnBeforeRenderHooks(
   }
   const onBeforeRender = hook.hook
   preparePageContextForRelease(pageContext)
-  const hookResult = await callHookWithTimeout(() => onBeforeRender(pageContext), 'onBeforeRender', hook.filePath)
+  const hookResult = await callHookWithTimeout(() => onBeforeRender(pageContext), 'onBeforeRender', hook.filePath, {
+    abortController: pageContext._abortController,
+    hooksTimeout: [getHooksTimeout(pageContext), pageContext._hooksTimeout]
+  })
 
   assertHookResult(hookResult, 'onBeforeRender', ['pageContext'], hook.filePath)
   const pageContextFromHook = hookResult?.pageContext
   Object.assign(pageContext, pageContextFromHook)
+  addHeadersResponse(pageContext, pageContextFromHook, { hookName: 'onBeforeRender', hookFilePath: hook.filePath })
 }
 
 async function executeRenderHook(
@@ -747,7 +782,10 @@ async function executeRenderHook(
     _viteDevServer: ViteDevServer | null
     _baseUrl: string
     _pageFilePathsLoaded: string[]
-  }
+    _abortController?: null | AbortController
+    _hooksTimeout?: null | HooksTimeout
+  } & PageContextHeadersResponse &
+    PageContextTimings
 ): Promise<{
   renderFilePath: string
   htmlRender: null | HtmlRender
@@ -768,9 +806,14 @@ async function executeRenderHook(
   const renderFilePath = hook.filePath
 
   preparePageContextForRelease(pageContext)
-  const result = await callHookWithTimeout(() => render(pageContext), 'render', hook.filePath)
+  const result = await measure(pageContext, 'render', () =>
+    callHookWithTimeout(() => render(pageContext), 'render', hook.filePath, {
+      abortController: pageContext._abortController,
+      hooksTimeout: [getHooksTimeout(pageContext), pageContext._hooksTimeout]
+    })
+  )
   if (isObject(result) && !isDocumentHtml(result)) {
-    assertHookResult(result, 'render', ['documentHtml', 'pageContext'] as const, renderFilePath)
+    assertHookResult(result, 'render', ['documentHtml', 'pageContext', 'body', 'contentType'] as const, renderFilePath)
   }
   objectAssign(pageContext, { _renderHook: { hookFilePath: renderFilePath, hookName: 'render' as const } })
 
@@ -782,11 +825,28 @@ async function executeRenderHook(
     } else {
       assertPageContextProvidedByUser(pageContextProvidedByRenderHook, { hook: pageContext._renderHook })
       Object.assign(pageContext, pageContextProvidedByRenderHook)
+      addHeadersResponse(pageContext, pageContextProvidedByRenderHook, pageContext._renderHook)
     }
   }
   objectAssign(pageContext, { _pageContextPromise: pageContextPromise })
 
   const errPrefix = 'The `render()` hook exported by ' + renderFilePath
+
+  // Non-HTML pages, e.g. `return { body: sitemapXml, contentType: 'application/xml' }`. We don't inject any asset.
+  if (isObject(result) && ('body' in result || 'contentType' in result)) {
+    const { body, contentType } = result
+    assertUsage(
+      !('documentHtml' in result),
+      `${errPrefix} returned \`{ documentHtml, body }\` but it should return either \`{ documentHtml }\` or \`{ body, contentType }\`.`
+    )
+    assertUsage(
+      typeof body === 'string' && typeof contentType === 'string',
+      `${errPrefix} should return \`{ body, contentType }\` with \`body\` and \`contentType\` being strings, e.g. \`{ body: sitemapXml, contentType: 'application/xml' }\`.`
+    )
+    objectAssign(pageContext, { _contentType: contentType })
+    return { htmlRender: body, renderFilePath }
+  }
+
   const errSuffix = [
     'a string generated with the `escapeInject` template tag or a string returned by `dangerouslySkipEscape()`,',
     'see https://vite-plugin-ssr.com/escapeInject'
@@ -842,7 +902,9 @@ async function executeRenderHook(
 
   const onErrorWhileStreaming = (err: unknown) => {
     assertError(err)
-    logError(err)
+    setErrorPhase(err, 'streaming')
+    // The HTTP response has already started: there is nothing to await
+    logError(err, pageContext).catch((errLog) => console.error(errLog))
     /*
     objectAssign(pageContext, {
       errorWhileRendering: err,
@@ -850,7 +912,10 @@ async function executeRenderHook(
     })
     */
   }
-  const htmlRender = await renderHtml(documentHtml, pageContext, renderFilePath, onErrorWhileStreaming)
+  const documentHtmlToRender = documentHtml
+  const htmlRender = await measure(pageContext, 'injectAssets', () =>
+    renderHtml(documentHtmlToRender, pageContext, renderFilePath, onErrorWhileStreaming)
+  )
   assert(typeof htmlRender === 'string' || isStream(htmlRender))
   return { htmlRender, renderFilePath }
 }
@@ -926,15 +991,21 @@ function warnMissingErrorPage(pageContext: { _isProduction: boolean }) {
   }
 }
 
-function logError(err: unknown) {
+// The user can replace `console.error()` with `export { onError }` in `_default.page.server.js`, e.g. to forward errors to an error tracker
+async function logError(err: unknown, pageContext: PageContextOnError) {
   assertError(err)
 
-  if (viteAlreadyLoggedError(err)) {
+  // Avoid logging error twice (not sure if this actually ever happens?)
+  if (hasAlreadyLogged(err)) {
     return
   }
 
-  // Avoid logging error twice (not sure if this actually ever happens?)
-  if (hasAlreadyLogged(err)) {
+  if (await callOnErrorHook(err, pageContext)) {
+    setAlreadyLogged(err)
+    return
+  }
+
+  if (viteAlreadyLoggedError(err)) {
     return
   }
 
@@ -946,10 +1017,10 @@ function logError(err: unknown) {
   setAlreadyLogged(err)
 }
 
-function logErrorIfDifferentFromOriginal(err: unknown, errOriginal: unknown) {
+async function logErrorIfDifferentFromOriginal(err: unknown, errOriginal: unknown, pageContext: PageContextOnError) {
   assertError(err)
   if (!isSameErrorMessage(errOriginal, err) || !hasAlreadyLogged(errOriginal)) {
-    logError(err)
+    await logError(err, pageContext)
   }
 }
 
@@ -1,6 +1,7 @@
 export { isRenderErrorPageException }
 export { RenderErrorPage }
 export { assertRenderErrorPageExceptionUsage }
+export type { ErrorStatusCode }
 
 import { assertPageContextProvidedByUser } from '../../shared/assertPageContextProvidedByUser'
 import { assert, assertUsage, objectAssign, isBrowser } from '../utils'
@@ -8,12 +9,26 @@ const stamp = '__isRenderErrorPageException'
 
 assert(!isBrowser())
 
-function isRenderErrorPageException(thing: unknown): thing is { pageContext?: Record<string, unknown> } {
+const errorStatusCodes = [400, 401, 403, 404, 410, 429, 500, 503] as const
+type ErrorStatusCode = typeof errorStatusCodes[number]
+
+function isRenderErrorPageException(
+  thing: unknown
+): thing is { pageContext?: Record<string, unknown>; statusCode: ErrorStatusCode } {
   assertRenderErrorPageExceptionUsage(thing)
   return typeof thing === 'object' && thing !== null && stamp in thing
 }
 
-function RenderErrorPage({ pageContext }: { pageContext?: Record<string, unknown> } = {}) {
+/**
+ * Abort rendering and render the error page `_error.page.js` instead, see https://vite-plugin-ssr.com/RenderErrorPage
+ *
+ * @param pageContext Additional `pageContext` values passed to the error page.
+ * @param statusCode The HTTP status code of the response, e.g. `401` for unauthorized requests. Defaults to `404`.
+ */
+function RenderErrorPage({
+  pageContext,
+  statusCode = 404
+}: { pageContext?: Record<string, unknown>; statusCode?: ErrorStatusCode } = {}) {
   {
     // @ts-ignore
     const that: unknown = this
@@ -22,12 +37,20 @@ function RenderErrorPage({ pageContext }: { pageContext?: Record<string, unknown
       "Don't use the `new` operator: use `throw RenderErrorPage()` instead of `throw new RenderErrorPage()`."
     )
   }
-  assertPageContextProvidedByUser(pageContext, {
-    errorMessagePrefix: 'The `pageContext` provided in `RenderErrorPage({ pageContext })`'
-  })
+  if (pageContext !== undefined) {
+    assertPageContextProvidedByUser(pageContext, {
+      errorMessagePrefix: 'The `pageContext` provided in `RenderErrorPage({ pageContext })`'
+    })
+  }
+  assertUsage(
+    errorStatusCodes.includes(statusCode),
+    `[RenderErrorPage({ statusCode })] \`statusCode\` should be one of following values: ${errorStatusCodes.join(
+      ', '
+    )}.`
+  )
 
   const err = new Error('RenderErrorPage')
-  objectAssign(err, { pageContext, [stamp]: true })
+  objectAssign(err, { pageContext, statusCode, [stamp]: true })
   return err
 }
 
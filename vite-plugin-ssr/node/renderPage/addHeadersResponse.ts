@@ -0,0 +1,48 @@
+export { addHeadersResponse }
+export { getHeadersList }
+export type { PageContextHeadersResponse }
+
+import { assert, assertUsage, hasProp, isPlainObject, objectAssign } from '../utils'
+
+type PageContextHeadersResponse = { _headersResponse?: [string, string][] }
+
+// Hooks provide the HTTP response headers as `pageContext.headersResponse`, so that they don't collide with the HTTP request headers that users commonly pass as `renderPage({ headers })`.
+function addHeadersResponse(
+  pageContext: PageContextHeadersResponse,
+  pageContextFromHook: unknown,
+  hook: { hookName: 'onBeforeRender' | 'render'; hookFilePath: string }
+): void {
+  if (!hasProp(pageContextFromHook, 'headersResponse')) {
+    return
+  }
+  const { headersResponse: headers } = pageContextFromHook
+  const errPrefix = `The \`pageContext.headersResponse\` provided by the \`export { ${hook.hookName} }\` of ${hook.hookFilePath}`
+
+  const headersList = getHeadersList(headers, errPrefix)
+  // The headers of `render()` override the headers of `onBeforeRender()`
+  const names = headersList.map(([name]) => name.toLowerCase())
+  const headersResponse = (pageContext._headersResponse ?? []).filter(([name]) => !names.includes(name.toLowerCase()))
+  headersResponse.push(...headersList)
+  objectAssign(pageContext, { _headersResponse: headersResponse })
+}
+
+// Converts `{ 'Set-Cookie': ['a=1', 'b=2'] }` to `[['Set-Cookie', 'a=1'], ['Set-Cookie', 'b=2']]`
+function getHeadersList(headers: unknown, errPrefix: string): [string, string][] {
+  assertUsage(
+    isPlainObject(headers),
+    `${errPrefix} should be a plain JavaScript object, e.g. \`{ 'Cache-Control': 'no-cache' }\`.`
+  )
+  const headersList: [string, string][] = []
+  Object.entries(headers).forEach(([name, value]) => {
+    const values = Array.isArray(value) ? value : [value]
+    assertUsage(
+      values.every((v) => typeof v === 'string'),
+      `${errPrefix} has a header \`${name}\` with a value that isn't a string nor an array of strings.`
+    )
+    values.forEach((v) => {
+      assert(typeof v === 'string')
+      headersList.push([name, v])
+    })
+  })
+  return headersList
+}
@@ -0,0 +1,291 @@
+export { createHttpResponseObject }
+export { createHttpResponseObjectRedirect }
+export { createHttpResponseObjectPlain }
+export { createHttpResponseObjectFromWorker }
+export { getHtmlRender }
+export type { HttpResponse }
+export type { StatusCode }
+
+import { HtmlRender, getHtmlString } from '../html/renderHtml'
+import { assert, assertUsage, assertWarning } from '../utils'
+import { isErrorPageId } from '../../shared/route'
+import { stringify } from '@brillout/json-serializer/stringify'
+import {
+  getStreamReadableNode,
+  getStreamReadableWeb,
+  pipeToStreamWritableWeb,
+  pipeToStreamWritableNode,
+  StreamPipeNode,
+  StreamPipeWeb,
+  StreamReadableNode,
+  StreamReadableWeb,
+  StreamWritableNode,
+  StreamWritableWeb,
+  isStream,
+  getStreamName,
+  inferStreamName,
+  isStreamWritableWeb,
+  isStreamWritableNode
+} from '../html/stream'
+import type { RedirectStatusCode } from '../../shared/RenderRedirect'
+import type { PageContextHeadersResponse } from './addHeadersResponse'
+import type { ErrorStatusCode } from './RenderErrorPage'
+import { getEtag, isEtagMatch, PageContextEtag } from './etag'
+import { getServerTiming, PageContextTimings, Timing } from './timings'
+
+// API routes `.page.api.js` can use any status code, e.g. `201 Created`. (We use `number & {}` instead of `number` so that TypeScript doesn't collapse the union and still suggests the known status codes.)
+type StatusCode = 200 | 204 | 304 | 405 | RedirectStatusCode | ErrorStatusCode | (number & {})
+// Non-HTML pages define their own content type, e.g. `application/xml`
+type ContentType = 'application/json' | 'text/html;charset=utf-8' | 'text/plain;charset=utf-8' | (string & {})
+type HttpResponse = {
+  statusCode: StatusCode
+  /** The value of the `Content-Type` HTTP response header, e.g. `text/html;charset=utf-8` or the `contentType` returned by `render()` for non-HTML pages */
+  contentType: ContentType
+  /** HTTP Response Headers, e.g. `[['Cache-Control', 'no-cache']]`, see https://vite-plugin-ssr.com/headers */
+  headers: [string, string][]
+  /** Duration (in milliseconds) of each rendering phase, see https://vite-plugin-ssr.com/server-timing */
+  timings: Timing[]
+  /** Value for the `Server-Timing` HTTP response header, e.g. `route;dur=0.3, onBeforeRender;dur=87.1, render;dur=12.4` */
+  serverTiming: string
+  body: string
+  getBody: () => Promise<string>
+  getReadableWebStream: () => StreamReadableWeb
+  pipe: (writable: StreamWritableWeb | StreamWritableNode) => void
+  /** @deprecated */
+  getNodeStream: () => Promise<StreamReadableNode>
+  /** @deprecated */
+  getWebStream: () => StreamReadableWeb
+  /** @deprecated */
+  pipeToNodeWritable: StreamPipeNode
+  /** @deprecated */
+  pipeToWebWritable: StreamPipeWeb
+}
+function createHttpResponseObject(
+  htmlRender: null | HtmlRender,
+  renderFilePath: null | string,
+  pageContext: {
+    _isPageContextRequest: boolean
+    _pageId: null | string
+    is404: null | boolean
+    statusCode?: ErrorStatusCode
+    errorWhileRendering: null | Error
+    _contentType?: string
+    httpMethod?: string
+  } & PageContextHeadersResponse &
+    PageContextEtag &
+    PageContextTimings
+): HttpResponse | null {
+  if (htmlRender === null) {
+    return null
+  }
+
+  let statusCode: StatusCode
+  {
+    const isError = !pageContext._pageId || isErrorPageId(pageContext._pageId)
+    if (pageContext.errorWhileRendering) {
+      assert(isError)
+    }
+    if (!isError) {
+      assert(pageContext.is404 === null)
+      statusCode = 200
+    } else {
+      assert(pageContext.is404 === true || pageContext.is404 === false)
+      assert(pageContext.statusCode)
+      statusCode = pageContext.statusCode
+    }
+  }
+
+  // The `.pageContext.json` HTTP request's body is generated by `@brillout/json-serializer` thus always a string
+  assert(!pageContext._isPageContextRequest || typeof htmlRender === 'string')
+
+  const contentType = pageContext._isPageContextRequest
+    ? 'application/json'
+    : pageContext._contentType ?? 'text/html;charset=utf-8'
+  const headers = [...(pageContext._headersResponse ?? [])]
+  const timings = pageContext._timings ?? []
+  if (pageContext._etag && statusCode === 200 && typeof htmlRender === 'string') {
+    const etag = getEtag(htmlRender)
+    headers.push(['ETag', etag])
+    if (isEtagMatch(etag, pageContext._ifNoneMatch)) {
+      return getHttpResponse('', null, 304, contentType, headers, timings)
+    }
+  }
+  if (pageContext.httpMethod === 'HEAD') {
+    return getHttpResponse('', null, statusCode, contentType, headers, timings)
+  }
+  return getHttpResponse(htmlRender, renderFilePath, statusCode, contentType, headers, timings)
+}
+
+function createHttpResponseObjectRedirect(
+  { url, statusCode }: { url: string; statusCode: RedirectStatusCode },
+  pageContext: { _isPageContextRequest: boolean } & PageContextHeadersResponse
+): HttpResponse {
+  // The headers set by hooks before the redirect was thrown, e.g. a `Set-Cookie` header upon login
+  const headers = [...(pageContext._headersResponse ?? [])]
+  if (pageContext._isPageContextRequest) {
+    // We cannot use an HTTP redirect for `.pageContext.json` requests: `fetch()` would follow it and fetch the HTML of the redirect target. We let the client-side router navigate to the redirect target instead.
+    const body = stringify({ serverSideRedirect: { url, statusCode } })
+    return getHttpResponse(body, null, 200, 'application/json', headers, [])
+  }
+  headers.push(['Location', url])
+  return getHttpResponse('', null, statusCode, 'text/html;charset=utf-8', headers, [])
+}
+
+function createHttpResponseObjectPlain(
+  body: string,
+  statusCode: StatusCode,
+  contentType: ContentType,
+  headers: [string, string][],
+  pageContext: PageContextTimings
+): HttpResponse {
+  return getHttpResponse(body, null, statusCode, contentType, headers, pageContext._timings ?? [])
+}
+
+// The HTML string or stream received from a render worker, see `renderWorkers.ts`
+function createHttpResponseObjectFromWorker(
+  htmlRender: HtmlRender,
+  renderFilePath: null | string,
+  {
+    statusCode,
+    contentType,
+    headers,
+    timings
+  }: Pick<HttpResponse, 'statusCode' | 'contentType' | 'headers' | 'timings'>
+): HttpResponse {
+  return getHttpResponse(htmlRender, renderFilePath, statusCode, contentType, headers, timings)
+}
+
+// Render workers need the original HTML string or stream in order to transfer it to the main thread
+const htmlRenders = new WeakMap<HttpResponse, { htmlRender: HtmlRender; renderFilePath: null | string }>()
+function getHtmlRender(httpResponse: HttpResponse) {
+  const entry = htmlRenders.get(httpResponse)
+  assert(entry)
+  return entry
+}
+
+function getHttpResponse(
+  htmlRender: HtmlRender,
+  renderFilePath: null | string,
+  statusCode: StatusCode,
+  contentType: ContentType,
+  headers: [string, string][],
+  timings: Timing[]
+): HttpResponse {
+  const streamDocs = 'See https://vite-plugin-ssr.com/stream for more information.'
+
+  const httpResponse: HttpResponse = {
+    statusCode,
+    contentType,
+    headers,
+    timings,
+    serverTiming: getServerTiming(timings),
+    get body() {
+      if (typeof htmlRender !== 'string') {
+        assert(renderFilePath)
+        assertUsage(
+          false,
+          errMsg('body', 'Use `pageContext.httpResponse.pipe()` or `pageContext.httpResponse.getBody()` instead')
+        )
+      }
+      const body = htmlRender
+      return body
+    },
+    async getBody(): Promise<string> {
+      const body = await getHtmlString(htmlRender)
+      return body
+    },
+    async getNodeStream() {
+      assertWarning(
+        false,
+        '`pageContext.httpResponse.getNodeStream()` is outdated, use `pageContext.httpResponse.pipe()` instead. ' +
+          streamDocs,
+        { onlyOnce: true, showStackTrace: true }
+      )
+      const nodeStream = await getStreamReadableNode(htmlRender)
+      assertUsage(nodeStream !== null, errMsg('getNodeStream()', fixMsg('readable', 'node')))
+      return nodeStream
+    },
+    getWebStream() {
+      assertWarning(
+        false,
+        '`pageContext.httpResponse.getWebStream(res)` is outdated, use `pageContext.httpResponse.getReadableWebStream(res)` instead. ' +
+          streamDocs,
+        { onlyOnce: true, showStackTrace: true }
+      )
+      const webStream = getStreamReadableWeb(htmlRender)
+      assertUsage(webStream !== null, errMsg('getWebStream()', fixMsg('readable', 'web')))
+      return webStream
+    },
+    getReadableWebStream() {
+      const webStream = getStreamReadableWeb(htmlRender)
+      assertUsage(webStream !== null, errMsg('getReadableWebStream()', fixMsg('readable', 'web')))
+      return webStream
+    },
+    pipeToWebWritable(writable: StreamWritableWeb) {
+      assertWarning(
+        false,
+        '`pageContext.httpResponse.pipeToWebWritable(res)` is outdated, use `pageContext.httpResponse.pipe(res)` instead. ' +
+          streamDocs,
+        { onlyOnce: true, showStackTrace: true }
+      )
+      const success = pipeToStreamWritableWeb(htmlRender, writable)
+      assertUsage(success, errMsg('pipeToWebWritable()'))
+    },
+    pipeToNodeWritable(writable: StreamWritableNode) {
+      assertWarning(
+        false,
+        '`pageContext.httpResponse.pipeToNodeWritable(res)` is outdated, use `pageContext.httpResponse.pipe(res)` instead. ' +
+          streamDocs,
+        { onlyOnce: true, showStackTrace: true }
+      )
+      const success = pipeToStreamWritableNode(htmlRender, writable)
+      assertUsage(success, errMsg('pipeToNodeWritable()'))
+    },
+    pipe(writable: StreamWritableNode | StreamWritableWeb) {
+      if (isStreamWritableWeb(writable)) {
+        const success = pipeToStreamWritableWeb(htmlRender, writable)
+        assertUsage(success, errMsg('pipe()'))
+        return
+      }
+      if (isStreamWritableNode(writable)) {
+        const success = pipeToStreamWritableNode(htmlRender, writable)
+        assertUsage(success, errMsg('pipe()'))
+        return
+      }
+      assertUsage(
+        false,
+        `The argument \`writable\` passed to \`pageContext.httpResponse.pipe(writable)\` doesn't seem to be ${getStreamName(
+          'writable',
+          'web'
+        )} nor ${getStreamName('writable', 'node')}.`
+      )
+    }
+  }
+  htmlRenders.set(httpResponse, { htmlRender, renderFilePath })
+  return httpResponse
+
+  function errMsg(method: string, fixMsg?: string) {
+    let htmlRenderName: string
+    if (typeof htmlRender === 'string') {
+      htmlRenderName = 'an HTML string'
+    } else if (isStream(htmlRender)) {
+      htmlRenderName = inferStreamName(htmlRender)
+    } else {
+      assert(false)
+    }
+    assert(['a ', 'an ', 'the '].some((s) => htmlRenderName.startsWith(s)))
+    assert(!fixMsg || !fixMsg.endsWith('.'))
+    return [
+      `\`pageContext.httpResponse.${method}\` can't be used because your \`render()\` hook (${renderFilePath}) provides ${htmlRenderName}`,
+      fixMsg,
+      streamDocs
+    ]
+      .filter(Boolean)
+      .join('. ')
+  }
+  function fixMsg(type: 'pipe' | 'readable', standard: 'web' | 'node') {
+    const streamName = getStreamName(type, standard)
+    assert(['a ', 'an ', 'the '].some((s) => streamName.startsWith(s)))
+    return `Make sure your \`render()\` hook provides ${streamName} instead`
+  }
+}
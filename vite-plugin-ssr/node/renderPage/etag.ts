@@ -0,0 +1,55 @@
+export { getIfNoneMatch }
+export { getEtag }
+export { isEtagMatch }
+export type { PageContextEtag }
+
+import { isObject } from '../utils'
+
+type PageContextEtag = {
+  _etag: boolean
+  _ifNoneMatch: null | string
+}
+
+// We read `If-None-Match` from `pageContextInit.headers` which users usually set to the HTTP request headers, e.g. `renderPage({ urlOriginal: req.originalUrl, headers: req.headers })`
+function getIfNoneMatch(pageContextInit: Record<string, unknown>): null | string {
+  const { headers } = pageContextInit
+  if (!isObject(headers)) return null
+  for (const [name, value] of Object.entries(headers)) {
+    if (name.toLowerCase() !== 'if-none-match') continue
+    if (typeof value === 'string') return value
+    if (Array.isArray(value)) return value.filter((v) => typeof v === 'string').join(', ')
+  }
+  return null
+}
+
+// We don't use Node.js's `crypto` module so that `renderPage()` keeps working on edge runtimes such as Cloudflare Workers.
+// The ETag is weak: our hash isn't collision-resistant enough to guarantee byte-for-byte equality (a strong ETag can be used for range requests).
+function getEtag(body: string): string {
+  return `W/"${body.length.toString(36)}-${hash(body)}"`
+}
+
+function isEtagMatch(etag: string, ifNoneMatch: null | string): boolean {
+  if (!ifNoneMatch) return false
+  // `If-None-Match` uses the weak comparison, see https://www.rfc-editor.org/rfc/rfc9110#field.if-none-match
+  return ifNoneMatch
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || getOpaqueTag(tag) === getOpaqueTag(etag))
+}
+function getOpaqueTag(etag: string): string {
+  return etag.replace(/^W\//, '')
+}
+
+// cyrb53, see https://stackoverflow.com/questions/7616461/generate-a-hash-from-string-in-javascript/52171480#52171480
+function hash(str: string): string {
+  let h1 = 0xdeadbeef
+  let h2 = 0x41c6ce57
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i)
+    h1 = Math.imul(h1 ^ ch, 2654435761)
+    h2 = Math.imul(h2 ^ ch, 1597334677)
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36)
+}
@@ -0,0 +1,42 @@
+export { httpMethods }
+export { getHttpMethod }
+export { getHttpMethodsAllowed }
+export { getAllowHeader }
+export type { HttpMethod }
+
+import { assertUsage } from '../utils'
+import type { ExportsAll } from '../../shared/getPageFiles'
+
+const httpMethods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'] as const
+type HttpMethod = typeof httpMethods[number]
+
+function getHttpMethod(pageContextInit: { method?: unknown }): string {
+  const { method } = pageContextInit
+  if (method === undefined) return 'GET'
+  assertUsage(typeof method === 'string', '`pageContextInit.method` should be a string, e.g. `req.method`.')
+  return method.toUpperCase()
+}
+
+// Pages accept all HTTP methods, unless they define `export const httpMethods = ['GET', 'POST']`
+function getHttpMethodsAllowed(pageContext: {
+  exports: Record<string, unknown>
+  exportsAll: ExportsAll
+}): null | HttpMethod[] {
+  const methods = pageContext.exports.httpMethods
+  if (methods === undefined) return null
+  const filePath = pageContext.exportsAll.httpMethods?.[0]?.filePath
+  assertUsage(
+    Array.isArray(methods) && methods.every((m) => httpMethods.includes(m)),
+    `\`export { httpMethods }\` of ${filePath} should be a list of HTTP methods, e.g. \`['GET', 'POST']\`.`
+  )
+  const methodsAllowed: HttpMethod[] = methods
+  // `HEAD` requests are handled like `GET` requests (without sending the body)
+  if (methodsAllowed.includes('GET') && !methodsAllowed.includes('HEAD')) {
+    return [...methodsAllowed, 'HEAD']
+  }
+  return methodsAllowed
+}
+
+function getAllowHeader(methodsAllowed: HttpMethod[]): [string, string] {
+  return ['Allow', httpMethods.filter((m) => methodsAllowed.includes(m)).join(', ')]
+}
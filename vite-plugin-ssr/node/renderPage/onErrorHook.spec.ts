@@ -0,0 +1,52 @@
+import { callOnErrorHook } from './onErrorHook'
+import { getPageFile } from '../../shared/getPageFiles/getPageFileObject.spec-utils'
+import { getPageFilesAll } from '../../shared/getPageFiles'
+import { expect, describe, it, vi, afterEach } from 'vitest'
+
+// The page files of errors thrown before `renderPage()` loaded them
+vi.mock('../globalContext', () => ({ getGlobalContext: async () => ({ _isProduction: true }) }))
+vi.mock('../../shared/getPageFiles', async () => ({
+  ...(await vi.importActual<object>('../../shared/getPageFiles')),
+  getPageFilesAll: vi.fn()
+}))
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+describe('callOnErrorHook()', () => {
+  it('calls the onError() hook', async () => {
+    const calls: unknown[] = []
+    const err = new Error('Crash')
+    const pageFilesAll = [getPageFile('/renderer/_default.page.server.js', { onError: (e: unknown) => calls.push(e) })]
+    expect(await callOnErrorHook(err, { urlOriginal: '/', _pageId: '/pages/index', _pageFilesAll: pageFilesAll })).toBe(
+      true
+    )
+    expect(calls).toEqual([err])
+  })
+  it('errors thrown before the page files are loaded', async () => {
+    const calls: unknown[] = []
+    const pageFilesAll = [getPageFile('/renderer/_default.page.server.js', { onError: (e: unknown) => calls.push(e) })]
+    vi.mocked(getPageFilesAll).mockResolvedValue({ pageFilesAll, allPageIds: [] })
+    const err = new Error('Render worker crashed')
+    expect(await callOnErrorHook(err, { urlOriginal: '/' })).toBe(true)
+    expect(calls).toEqual([err])
+    // The page files themselves can't be loaded
+    vi.mocked(getPageFilesAll).mockRejectedValue(new Error('Build not found'))
+    expect(await callOnErrorHook(err, { urlOriginal: '/' })).toBe(false)
+    expect(calls).toEqual([err])
+  })
+  it('only one onError() hook can be defined', async () => {
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {})
+    const calls: unknown[] = []
+    const pageFilesAll = [
+      getPageFile('/renderer/_default.page.server.js', { onError: () => calls.push(1) }),
+      getPageFile('/pages/admin/_default.page.server.js', { onError: () => calls.push(2) })
+    ]
+    expect(await callOnErrorHook(new Error('Crash'), { _pageFilesAll: pageFilesAll })).toBe(false)
+    expect(calls).toEqual([])
+    expect(String(consoleError.mock.calls[0]![0])).toContain(
+      'There can be only one `onError()` hook but it is defined by /renderer/_default.page.server.js and /pages/admin/_default.page.server.js.'
+    )
+  })
+})
@@ -0,0 +1,100 @@
+export { callOnErrorHook }
+export { setErrorPhase }
+export type { ErrorPhase }
+export type { PageContextOnError }
+
+import { getPageFilesAll, PageFile } from '../../shared/getPageFiles'
+import { assert, assertUsage, hasProp, isObject, isPromise } from '../utils'
+import type { Timing } from './timings'
+import { getGlobalContext } from '../globalContext'
+
+// `streaming` is for errors thrown after the HTTP response has started
+type ErrorPhase = Timing['name'] | 'streaming'
+type PageContextOnError = {
+  urlOriginal?: string
+  _pageId?: null | string
+  _pageFilesAll?: PageFile[]
+}
+type OnErrorHook = {
+  filePath: string
+  onError: (err: unknown, pageContext: Record<string, unknown>) => unknown
+}
+
+const errorPhases = new WeakMap<object, ErrorPhase>()
+
+function setErrorPhase(err: unknown, errorPhase: ErrorPhase) {
+  if (!isObject(err)) return
+  // The first phase wins: an error re-thrown by an outer phase was thrown by the inner phase
+  if (errorPhases.has(err)) return
+  errorPhases.set(err, errorPhase)
+}
+
+// Returns `false` if the user didn't define `export { onError }` in a `_default.page.server.js` file.
+// The hook can only be defined there, not in the plugin config: the config reaches the production server through the plugin manifest which is JSON and can't hold functions.
+// Consequently, errors thrown while loading the page files themselves (e.g. the app isn't built) can't reach the hook and are logged with `console.error()` instead.
+async function callOnErrorHook(err: unknown, pageContext: PageContextOnError): Promise<boolean> {
+  let onErrorHook: null | OnErrorHook
+  try {
+    onErrorHook = await getOnErrorHook(pageContext)
+  } catch (errHook) {
+    console.error(errHook)
+    return false
+  }
+  if (!onErrorHook) {
+    return false
+  }
+  const { filePath, onError } = onErrorHook
+  const errorPhase = (isObject(err) && errorPhases.get(err)) || null
+  const pageContextHook = { ...pageContext, pageId: pageContext._pageId ?? null, errorPhase }
+  const logHookError = (errHook: unknown) => {
+    console.error(`[vite-plugin-ssr] The onError() hook of ${filePath} threw an error:`)
+    console.error(errHook)
+    console.error(err)
+  }
+  try {
+    const hookResult = onError(err, pageContextHook)
+    // We don't wait for error trackers to finish sending the error
+    if (isPromise(hookResult)) hookResult.catch(logHookError)
+  } catch (errHook) {
+    logHookError(errHook)
+  }
+  return true
+}
+
+async function getOnErrorHook(pageContext: PageContextOnError): Promise<null | OnErrorHook> {
+  const pageFilesAll = pageContext._pageFilesAll ?? (await loadPageFilesAll())
+  if (!pageFilesAll) return null
+  const pageFiles = pageFilesAll.filter((p) => p.fileType === '.page.server' && p.isDefaultPageFile)
+  await Promise.all(pageFiles.map((p) => p.loadFile?.()))
+  const onErrorHooks: OnErrorHook[] = []
+  pageFiles.forEach(({ filePath, fileExports }) => {
+    assert(fileExports)
+    if ('onError' in fileExports) {
+      assertUsage(
+        hasProp(fileExports, 'onError', 'function'),
+        `\`export { onError }\` of ${filePath} should be a function.`
+      )
+      const { onError } = fileExports
+      onErrorHooks.push({ filePath, onError })
+    }
+  })
+  assertUsage(
+    onErrorHooks.length <= 1,
+    `There can be only one \`onError()\` hook but it is defined by ${onErrorHooks
+      .map(({ filePath }) => filePath)
+      .join(' and ')}.`
+  )
+  return onErrorHooks[0] ?? null
+}
+
+// The error was thrown before `renderPage()` loaded the page files, e.g. by a render worker that crashed
+async function loadPageFilesAll(): Promise<null | PageFile[]> {
+  try {
+    const globalContext = await getGlobalContext(false)
+    const { pageFilesAll } = await getPageFilesAll(false, globalContext._isProduction)
+    return pageFilesAll
+  } catch {
+    // The page files can't be loaded: the original error is logged instead
+    return null
+  }
+}
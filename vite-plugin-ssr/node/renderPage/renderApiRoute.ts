@@ -0,0 +1,120 @@
+export { renderApiRoute }
+export { loadApiPageFiles }
+
+import { getExports } from '../../shared/getPageFiles'
+import type { PageContextExports, PageFile } from '../../shared/getPageFiles'
+import type { PageContextUrls } from '../../shared/addComputedUrlProps'
+import { loadPageFilesServerSide } from '../../shared/getPageFiles/analyzePageServerSide/loadPageFilesServerSide'
+import { getHooksTimeout } from '../../shared/getHook'
+import { assert, assertUsage, callHookWithTimeout, isCallable, isPlainObject, HooksTimeout } from '../utils'
+import { createHttpResponseObjectPlain, HttpResponse } from './createHttpResponseObject'
+import type { PageContextTimings } from './timings'
+import { getHeadersList } from './addHeadersResponse'
+import { getAllowHeader, httpMethods, HttpMethod } from './httpMethod'
+
+// The `.page.api.js` file and the `_default.page.server.js` files applying to it, so that `guard()` and `hooksTimeout` can be defined for API routes as well
+async function loadApiPageFiles(pageFilesAll: PageFile[], pageId: string, apiPageFile: PageFile) {
+  assert(apiPageFile.fileType === '.page.api')
+  const [{ pageFilesLoaded }] = await Promise.all([
+    loadPageFilesServerSide(pageFilesAll, pageId),
+    apiPageFile.loadFile?.()
+  ])
+  // The `.page.api.js` exports take precedence over the `_default.page.server.js` exports
+  const { exports, exportsAll, pageExports } = getExports([apiPageFile, ...pageFilesLoaded])
+  return {
+    exports,
+    exportsAll,
+    pageExports,
+    Page: exports.Page,
+    _pageFilePathsLoaded: [apiPageFile, ...pageFilesLoaded].map((p) => p.filePath)
+  }
+}
+
+// `.page.api.js` files export HTTP method handlers, e.g. `export async function GET(pageContext) { return { products } }`
+async function renderApiRoute(
+  pageContext: {
+    _pageId: string
+    urlOriginal: string
+    routeParams: Record<string, string>
+    httpMethod: string
+    _abortController?: null | AbortController
+    _hooksTimeout?: null | HooksTimeout
+  } & PageContextExports &
+    PageContextUrls &
+    PageContextTimings,
+  apiPageFile: PageFile
+): Promise<HttpResponse> {
+  assert(apiPageFile.fileType === '.page.api')
+  const { fileExports, filePath } = apiPageFile
+  assert(fileExports)
+
+  const methodsDefined = httpMethods.filter((method) => method in fileExports)
+  methodsDefined.forEach((method) => {
+    assertUsage(isCallable(fileExports[method]), `\`export { ${method} }\` of ${filePath} should be a function.`)
+  })
+
+  const method = pageContext.httpMethod
+  // `HEAD` requests are handled by the `GET` handler (without sending the body)
+  const handlerName = methodsDefined.find(
+    (m) => m === (method === 'HEAD' && !methodsDefined.includes('HEAD') ? 'GET' : method)
+  )
+  if (!handlerName) {
+    const methodsAllowed: HttpMethod[] = methodsDefined.includes('GET') ? [...methodsDefined, 'HEAD'] : methodsDefined
+    return createHttpResponseObjectPlain(
+      '',
+      405,
+      'text/plain;charset=utf-8',
+      [getAllowHeader(methodsAllowed)],
+      pageContext
+    )
+  }
+
+  const handler = fileExports[handlerName]
+  assert(isCallable(handler))
+  // Like hooks, handlers are aborted upon timeout: `pageContext.abortSignal` tells the handler to stop its work
+  const result: unknown = await callHookWithTimeout(() => handler(pageContext), handlerName, filePath, {
+    abortController: pageContext._abortController,
+    hooksTimeout: [getHooksTimeout(pageContext), pageContext._hooksTimeout]
+  })
+  const errPrefix = `The \`${handlerName}()\` handler of ${filePath}`
+
+  // The handler can return `{ statusCode, headers, body }` to control the HTTP response, e.g. `{ statusCode: 201, body: product }`
+  const response = isApiResponse(result) ? result : { body: result }
+  const { body: bodyValue } = response
+  const statusCode = response.statusCode ?? (bodyValue === undefined ? 204 : 200)
+  assertUsage(
+    typeof statusCode === 'number' && Number.isInteger(statusCode) && statusCode >= 200 && statusCode <= 599,
+    `${errPrefix} returned a \`statusCode\` that isn't an HTTP status code between 200 and 599.`
+  )
+  const headers =
+    response.headers === undefined ? [] : getHeadersList(response.headers, `The \`headers\` returned by ${errPrefix}`)
+
+  const isText = typeof bodyValue === 'string'
+  let contentType = isText ? 'text/plain;charset=utf-8' : 'application/json'
+  const contentTypeHeader = headers.find(([name]) => name.toLowerCase() === 'content-type')
+  if (contentTypeHeader) {
+    contentType = contentTypeHeader[1]
+  }
+  const body = method === 'HEAD' || bodyValue === undefined ? '' : isText ? bodyValue : JSON.stringify(bodyValue)
+  assertUsage(
+    typeof body === 'string',
+    `${errPrefix} should return a string or a value serializable with \`JSON.stringify()\`.`
+  )
+  return createHttpResponseObjectPlain(
+    body,
+    statusCode,
+    contentType,
+    headers.filter((header) => header !== contentTypeHeader),
+    pageContext
+  )
+}
+
+function isApiResponse(
+  result: unknown
+): result is { statusCode?: unknown; headers?: unknown; body?: unknown } & Record<string, unknown> {
+  return (
+    isPlainObject(result) &&
+    'statusCode' in result &&
+    Object.keys(result).every((key) => ['statusCode', 'headers', 'body'].includes(key))
+  )
+}
@@ -0,0 +1,163 @@
+import { getRenderCache, renderWithCache, RenderCacheStore } from './renderCache'
+import { expect, describe, it, vi, afterEach } from 'vitest'
+
+type CacheEntry = Parameters<RenderCacheStore['set']>[1]
+
+afterEach(() => {
+  vi.restoreAllMocks()
+})
+
+function getPageContext(urlOriginal: string, cache: Record<string, unknown>, pageContextAddendum = {}) {
+  return {
+    _pageId: '/pages/product',
+    _isProduction: true,
+    _isPageContextRequest: urlOriginal.endsWith('.pageContext.json'),
+    urlOriginal,
+    exports: { cache },
+    exportsAll: {
+      cache: [
+        {
+          filePath: '/pages/product.page.server.js',
+          exportValue: cache,
+          _fileType: '.page.server' as const,
+          _isFromDefaultExport: false
+        }
+      ]
+    },
+    ...pageContextAddendum
+  } as Parameters<typeof getRenderCache>[0] & Record<string, unknown>
+}
+
+function createStore() {
+  const entries = new Map<string, CacheEntry>()
+  const store: RenderCacheStore = {
+    get: (key) => entries.get(key),
+    set: (key, entry) => {
+      entries.set(key, entry)
+    }
+  }
+  return { store, entries }
+}
+
+function createRender() {
+  const pageContexts: Record<string, unknown>[] = []
+  const render = async (pageContext: Record<string, unknown>) => {
+    pageContexts.push(pageContext)
+    return { htmlRender: `render ${pageContexts.length}`, renderFilePath: null }
+  }
+  return { render, pageContexts }
+}
+
+async function renderPage(
+  urlOriginal: string,
+  cache: Record<string, unknown>,
+  render: ReturnType<typeof createRender>['render'],
+  pageContextAddendum = {}
+) {
+  const pageContext = getPageContext(urlOriginal, cache, pageContextAddendum)
+  const renderCache = getRenderCache(pageContext)
+  expect(renderCache).not.toBe(null)
+  const { htmlRender } = await renderWithCache(pageContext, renderCache!, render, (err) => {
+    throw err
+  })
+  return htmlRender
+}
+
+function setNow(seconds: number) {
+  vi.spyOn(Date, 'now').mockReturnValue(seconds * 1000)
+}
+
+describe('render cache', () => {
+  it('cache.ttl', async () => {
+    const { store } = createStore()
+    const { render } = createRender()
+    const cache = { ttl: 60, store }
+    setNow(0)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 1')
+    setNow(59)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 1')
+    setNow(60)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 2')
+  })
+  it('cache.staleWhileRevalidate', async () => {
+    const { store } = createStore()
+    const { render, pageContexts } = createRender()
+    const cache = { ttl: 60, staleWhileRevalidate: 30, store }
+    setNow(0)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 1')
+    setNow(70)
+    const abortController = new AbortController()
+    const timings = [{ name: 'route', duration: 1 }]
+    const pageContextAddendum = {
+      _abortController: abortController,
+      abortSignal: abortController.signal,
+      _timings: timings
+    }
+    // The stale page is served while the page is re-rendered in the background
+    expect(await renderPage('/product/1', cache, render, pageContextAddendum)).toBe('render 1')
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    expect(pageContexts.length).toBe(2)
+    // The revalidation doesn't share the abort controller nor the timings of the request that triggered it
+    const pageContextRevalidation = pageContexts[1]!
+    expect(pageContextRevalidation._abortController).not.toBe(abortController)
+    expect(pageContextRevalidation.abortSignal).not.toBe(abortController.signal)
+    expect(pageContextRevalidation._timings).not.toBe(timings)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 2')
+    // Past `ttl + staleWhileRevalidate` the page is re-rendered before responding
+    setNow(200)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 3')
+  })
+  it('cache.key', async () => {
+    const { store, entries } = createStore()
+    const { render } = createRender()
+    const cache = {
+      ttl: 60,
+      store,
+      key: (pageContext: { urlOriginal: string }) =>
+        pageContext.urlOriginal.includes('nocache') ? null : pageContext.urlOriginal.split('?')[0]
+    }
+    setNow(0)
+    expect(await renderPage('/product/1?utm=a', cache, render)).toBe('render 1')
+    expect(await renderPage('/product/1?utm=b', cache, render)).toBe('render 1')
+    expect([...entries.keys()]).toEqual(['/pages/product:html:/product/1'])
+    // `null` skips the cache
+    expect(await renderPage('/product/1?nocache', cache, render)).toBe('render 2')
+    expect(await renderPage('/product/1?nocache', cache, render)).toBe('render 3')
+    expect(entries.size).toBe(1)
+  })
+  it('cache.store', async () => {
+    const { store, entries } = createStore()
+    const { render } = createRender()
+    setNow(42)
+    await renderPage('/product/1', { ttl: 60, store }, render)
+    expect(entries.get('/pages/product:html:/product/1')).toEqual({
+      body: 'render 1',
+      headersResponse: [],
+      contentType: undefined,
+      createdAt: 42000
+    })
+  })
+  it('HTML and `.pageContext.json` are cached separately', async () => {
+    const { store, entries } = createStore()
+    const { render } = createRender()
+    const cache = { ttl: 60, store }
+    setNow(0)
+    expect(await renderPage('/product/1', cache, render)).toBe('render 1')
+    expect(await renderPage('/product/1/index.pageContext.json', cache, render)).toBe('render 2')
+    expect(await renderPage('/product/1/index.pageContext.json', cache, render)).toBe('render 2')
+    expect([...entries.keys()]).toEqual([
+      '/pages/product:html:/product/1',
+      '/pages/product:pageContext.json:/product/1'
+    ])
+  })
+  it("responses setting cookies aren't cached", async () => {
+    const { store, entries } = createStore()
+    const render = async (pageContext: Record<string, unknown>) => {
+      pageContext._headersResponse = [['Set-Cookie', 'session=1']]
+      return { htmlRender: 'render', renderFilePath: null }
+    }
+    setNow(0)
+    await renderPage('/product/1', { ttl: 60, store }, render)
+    expect(entries.size).toBe(0)
+  })
+})
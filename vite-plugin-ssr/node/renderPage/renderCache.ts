@@ -0,0 +1,201 @@
+export { getRenderCache }
+export { renderWithCache }
+export type { RenderCacheStore }
+
+import {
+  assert,
+  assertUsage,
+  createAbortController,
+  getGlobalObject,
+  hasProp,
+  isCallable,
+  isObject,
+  objectAssign
+} from '../utils'
+import type { HtmlRender } from '../html/renderHtml'
+import type { PageContextHeadersResponse } from './addHeadersResponse'
+import { handlePageContextRequestUrl } from './handlePageContextRequestUrl'
+import type { ExportsAll } from '../../shared/getPageFiles'
+import type { PageContextTimings } from './timings'
+
+type CacheEntry = {
+  body: string
+  headersResponse: [string, string][]
+  contentType?: string
+  createdAt: number
+}
+type RenderCacheStore = {
+  get: (key: string) => undefined | CacheEntry | Promise<undefined | CacheEntry>
+  set: (key: string, entry: CacheEntry) => void | Promise<void>
+}
+type RenderCache = {
+  ttl: number
+  staleWhileRevalidate: number
+  key: null | ((pageContext: Record<string, unknown>) => string | null)
+  store: RenderCacheStore
+}
+type RenderResult = { htmlRender: null | HtmlRender; renderFilePath: null | string }
+type PageContextRenderCache = {
+  _pageId: string
+  _isProduction: boolean
+  _isPageContextRequest: boolean
+  urlOriginal: string
+  exports: Record<string, unknown>
+  exportsAll: ExportsAll
+  _contentType?: string
+  httpMethod?: string
+  _abortController?: null | AbortController
+  abortSignal?: AbortSignal
+} & PageContextHeadersResponse &
+  PageContextTimings
+
+const globalObject = getGlobalObject<{ storeDefault?: RenderCacheStore; revalidating: Set<string> }>('renderCache.ts', {
+  revalidating: new Set()
+})
+
+// The render cache is disabled in development: we always want to see the latest version of our pages.
+function getRenderCache(pageContext: PageContextRenderCache): null | RenderCache {
+  if (!pageContext._isProduction) return null
+  // Only `GET` and `HEAD` requests are cached: a form post should always execute the page's hooks
+  if (pageContext.httpMethod && pageContext.httpMethod !== 'GET' && pageContext.httpMethod !== 'HEAD') return null
+  const { cache } = pageContext.exports
+  if (cache === undefined || cache === false) return null
+  const filePath = pageContext.exportsAll.cache?.[0]?.filePath
+  assert(filePath)
+  const errPrefix = `The \`export { cache }\` of ${filePath}`
+  assertUsage(isObject(cache), `${errPrefix} should be an object, e.g. \`{ ttl: 60 }\`.`)
+  assertUsage(
+    hasProp(cache, 'ttl', 'number') && cache.ttl >= 0,
+    `${errPrefix} should define \`cache.ttl\` as a number of seconds.`
+  )
+  assertUsage(
+    hasProp(cache, 'staleWhileRevalidate', 'undefined') ||
+      (hasProp(cache, 'staleWhileRevalidate', 'number') && cache.staleWhileRevalidate >= 0),
+    `${errPrefix} has \`cache.staleWhileRevalidate\` which should be a number of seconds.`
+  )
+  assertUsage(
+    hasProp(cache, 'key', 'undefined') || hasProp(cache, 'key', 'function'),
+    `${errPrefix} has \`cache.key\` which should be a function.`
+  )
+  assertUsage(
+    hasProp(cache, 'store', 'undefined') ||
+      (hasProp(cache, 'store', 'object') && isCallable(cache.store.get) && isCallable(cache.store.set)),
+    `${errPrefix} has \`cache.store\` which should be an object with the methods \`get(key)\` and \`set(key, entry)\`.`
+  )
+  return {
+    ttl: cache.ttl,
+    staleWhileRevalidate: cache.staleWhileRevalidate ?? 0,
+    key: (cache.key as RenderCache['key']) ?? null,
+    store: (cache.store as RenderCacheStore | undefined) ?? getStoreDefault()
+  }
+}
+
+async function renderWithCache<PageContext extends PageContextRenderCache>(
+  pageContext: PageContext,
+  renderCache: RenderCache,
+  render: (pageContext: PageContext) => Promise<RenderResult>,
+  onRevalidationError: (err: unknown) => void
+): Promise<RenderResult> {
+  const key = getCacheKey(pageContext, renderCache)
+  if (key === null) {
+    return render(pageContext)
+  }
+  const entry = await renderCache.store.get(key)
+  if (entry) {
+    const age = (Date.now() - entry.createdAt) / 1000
+    if (age < renderCache.ttl + renderCache.staleWhileRevalidate) {
+      if (age >= renderCache.ttl && !globalObject.revalidating.has(key)) {
+        globalObject.revalidating.add(key)
+        renderAndStore(getPageContextRevalidation(pageContext), key, renderCache, render)
+          .catch(onRevalidationError)
+          .finally(() => globalObject.revalidating.delete(key))
+      }
+      objectAssign(pageContext, { _headersResponse: entry.headersResponse, _contentType: entry.contentType })
+      return { htmlRender: entry.body, renderFilePath: null }
+    }
+  }
+
+  return renderAndStore(pageContext, key, renderCache, render)
+}
+
+async function renderAndStore<PageContext extends PageContextRenderCache>(
+  pageContext: PageContext,
+  key: string,
+  renderCache: RenderCache,
+  render: (pageContext: PageContext) => Promise<RenderResult>
+): Promise<RenderResult> {
+  const renderResult = await render(pageContext)
+  // We don't cache streams, nor responses setting cookies: we would otherwise send one user's cookies to other users
+  if (typeof renderResult.htmlRender === 'string' && !hasSetCookieHeader(pageContext)) {
+    await renderCache.store.set(key, {
+      body: renderResult.htmlRender,
+      headersResponse: pageContext._headersResponse ?? [],
+      contentType: pageContext._contentType,
+      createdAt: Date.now()
+    })
+  }
+  return renderResult
+}
+
+// Revalidating in the background outlives the request that triggered it: it shouldn't be aborted when the request is, and it shouldn't modify the request's timings nor headers.
+function getPageContextRevalidation<PageContext extends PageContextRenderCache>(pageContext: PageContext): PageContext {
+  const abortController = createAbortController()
+  return {
+    ...pageContext,
+    _abortController: abortController,
+    abortSignal: abortController?.signal,
+    _timings: [...(pageContext._timings ?? [])],
+    _headersResponse: [...(pageContext._headersResponse ?? [])]
+  }
+}
+
+function hasSetCookieHeader(pageContext: PageContextHeadersResponse): boolean {
+  return (pageContext._headersResponse ?? []).some(([name]) => name.toLowerCase() === 'set-cookie')
+}
+
+function getCacheKey(pageContext: PageContextRenderCache, renderCache: RenderCache): string | null {
+  let key: string | null
+  if (renderCache.key) {
+    key = renderCache.key(pageContext)
+    assertUsage(
+      typeof key === 'string' || key === null,
+      `The \`cache.key()\` function of the page ${pageContext._pageId} should return a string, or \`null\` to skip the cache.`
+    )
+    if (key === null) return null
+  } else {
+    key = handlePageContextRequestUrl(pageContext.urlOriginal).urlWithoutPageContextRequestSuffix
+  }
+  // The HTML and the `.pageContext.json` of a page are different responses
+  const responseType = pageContext._isPageContextRequest ? 'pageContext.json' : 'html'
+  return `${pageContext._pageId}:${responseType}:${key}`
+}
+
+function getStoreDefault(): RenderCacheStore {
+  if (!globalObject.storeDefault) {
+    globalObject.storeDefault = createStoreLru(1000)
+  }
+  return globalObject.storeDefault
+}
+
+// A `Map` iterates in insertion order: the first entry is the least recently used one.
+function createStoreLru(maxEntries: number): RenderCacheStore {
+  const entries = new Map<string, CacheEntry>()
+  return {
+    get(key) {
+      const entry = entries.get(key)
+      if (entry) {
+        entries.delete(key)
+        entries.set(key, entry)
+      }
+      return entry
+    },
+    set(key, entry) {
+      entries.delete(key)
+      entries.set(key, entry)
+      if (entries.size > maxEntries) {
+        const keyOldest = entries.keys().next().value
+        entries.delete(keyOldest)
+      }
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// Entry of the worker threads spawned by `renderWorkers.ts`
+
+import { parentPort, workerData } from 'worker_threads'
+import { renderPage } from '../renderPage'
+import { getHtmlRender } from './createHttpResponseObject'
+import { setRenderWorkerThread, RenderWorkerData, RenderWorkerMessage, RenderWorkerRequest } from './renderWorkers'
+import { pipeToStreamWritableNode, pipeToStreamWritableWeb, getStreamReadableWeb } from '../html/stream'
+import type { HtmlRender } from '../html/renderHtml'
+import { assert, createAbortController, loadModuleAtRuntime } from '../utils'
+import { Writable } from 'stream'
+
+setRenderWorkerThread()
+assert(parentPort)
+{
+  const { importBuildFile } = workerData as RenderWorkerData
+  // Load the same build as the main thread: the auto-discovery of `loadBuild()` doesn't know about a custom `outDir`
+  if (importBuildFile) loadModuleAtRuntime(importBuildFile)
+}
+const port = parentPort
+const abortControllers = new Map<number, AbortController>()
+
+port.on('message', (request: RenderWorkerRequest) => {
+  if (request.type === 'abort') {
+    abortControllers.get(request.requestId)?.abort()
+    return
+  }
+  assert(request.type === 'render')
+  render(request.requestId, request.pageContextInit).catch((err) => {
+    send({ type: 'error', requestId: request.requestId, error: serializeError(err) })
+  })
+})
+
+async function render(requestId: number, pageContextInit: Record<string, unknown>) {
+  const abortController = createAbortController()
+  if (abortController) abortControllers.set(requestId, abortController)
+  try {
+    assert(typeof pageContextInit.urlOriginal === 'string')
+    const pageContext = await renderPage({
+      ...pageContextInit,
+      urlOriginal: pageContextInit.urlOriginal,
+      abortSignal: abortController?.signal
+    })
+    const errorWhileRendering = pageContext.errorWhileRendering ? serializeError(pageContext.errorWhileRendering) : null
+    const { httpResponse } = pageContext
+    if (!httpResponse) {
+      send({ type: 'response', requestId, httpResponse: null, errorWhileRendering })
+      return
+    }
+    const { htmlRender, renderFilePath } = getHtmlRender(httpResponse)
+    const { statusCode, contentType, headers, timings } = httpResponse
+    const body = typeof htmlRender === 'string' ? htmlRender : null
+    send({
+      type: 'response',
+      requestId,
+      httpResponse: { statusCode, contentType, headers, timings, body, renderFilePath },
+      errorWhileRendering
+    })
+    if (body === null) {
+      await sendStream(requestId, htmlRender)
+    }
+  } finally {
+    abortControllers.delete(requestId)
+  }
+}
+
+async function sendStream(requestId: number, htmlRender: HtmlRender) {
+  const onChunk = (chunk: Uint8Array | string) => send({ type: 'chunk', requestId, chunk })
+  const onEnd = () => send({ type: 'end', requestId })
+  const onError = (err: unknown) => send({ type: 'error', requestId, error: serializeError(err) })
+
+  const writableNode = new Writable({
+    write(chunk, _encoding, callback) {
+      onChunk(chunk)
+      callback()
+    },
+    final(callback) {
+      onEnd()
+      callback()
+    },
+    destroy(err, callback) {
+      if (err) onError(err)
+      callback(err)
+    }
+  })
+  if (pipeToStreamWritableNode(htmlRender, writableNode)) {
+    return
+  }
+
+  const readableWeb = getStreamReadableWeb(htmlRender)
+  if (readableWeb) {
+    try {
+      const reader = readableWeb.getReader()
+      while (true) {
+        const { done, value } = await reader.read()
+        if (done) break
+        onChunk(value)
+      }
+      onEnd()
+    } catch (err) {
+      onError(err)
+    }
+    return
+  }
+
+  assert(typeof WritableStream !== 'undefined')
+  const writableWeb = new WritableStream({ write: onChunk, close: onEnd, abort: onError })
+  const success = pipeToStreamWritableWeb(htmlRender, writableWeb)
+  assert(success)
+}
+
+function send(message: RenderWorkerMessage) {
+  port.postMessage(message)
+}
+
+function serializeError(err: unknown): { message: string; stack?: string } {
+  if (err instanceof Error) return { message: err.message, stack: err.stack }
+  return { message: String(err) }
+}
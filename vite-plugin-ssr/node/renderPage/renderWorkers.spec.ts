@@ -0,0 +1,157 @@
+import {
+  renderPageInWorker,
+  RenderWorkerData,
+  RenderWorkerMessage,
+  RenderWorkerRequest,
+  RenderWorkers
+} from './renderWorkers'
+import { setLoaders } from '../plugin/plugins/importBuild/loadBuild'
+import workerThreads from 'worker_threads'
+import { EventEmitter } from 'events'
+import { expect, describe, it, beforeEach, afterAll } from 'vitest'
+
+// Stand-in for the worker threads running `renderWorker.ts`
+class FakeWorker extends EventEmitter {
+  static instances: FakeWorker[] = []
+  requests: RenderWorkerRequest[] = []
+  terminated = false
+  workerData: RenderWorkerData
+  constructor(_filename: string, options: { workerData: RenderWorkerData }) {
+    super()
+    this.workerData = options.workerData
+    FakeWorker.instances.push(this)
+  }
+  unref() {}
+  terminate() {
+    this.terminated = true
+    return Promise.resolve(0)
+  }
+  postMessage(request: RenderWorkerRequest) {
+    this.requests.push(request)
+    if (request.type !== 'render') return
+    const { requestId } = request
+    const urlOriginal = request.pageContextInit.urlOriginal as string
+    const isStream = urlOriginal === '/stream'
+    setTimeout(() => {
+      this.send({
+        type: 'response',
+        requestId,
+        httpResponse: {
+          statusCode: 200,
+          contentType: 'text/html;charset=utf-8',
+          headers: [],
+          timings: [],
+          body: isStream ? null : `html ${urlOriginal}`,
+          renderFilePath: null
+        },
+        errorWhileRendering: null
+      })
+      if (isStream) {
+        // The first chunk is received in the same tick as the response
+        this.send({ type: 'chunk', requestId, chunk: 'hello ' })
+        setTimeout(() => {
+          this.send({ type: 'chunk', requestId, chunk: 'world' })
+          this.send({ type: 'end', requestId })
+        }, 0)
+      }
+    }, 0)
+  }
+  send(message: RenderWorkerMessage) {
+    this.emit('message', message)
+  }
+}
+
+const { Worker } = workerThreads
+afterAll(() => {
+  workerThreads.Worker = Worker
+})
+beforeEach(() => {
+  workerThreads.Worker = FakeWorker as unknown as typeof Worker
+  FakeWorker.instances = []
+  // Each test starts with a new pool
+  globalThis.__vite_plugin_ssr!['renderWorkers.ts']!.pool = null
+})
+
+function getRenders(worker: FakeWorker) {
+  return worker.requests.filter((request) => request.type === 'render').length
+}
+
+describe('renderWorkers', () => {
+  it('pool', async () => {
+    const renderWorkers: RenderWorkers = { poolSize: 2, maxRendersPerWorker: null }
+    const pageContexts = await Promise.all(
+      ['/a', '/b', '/c', '/d'].map((urlOriginal) => renderPageInWorker({ urlOriginal }, renderWorkers))
+    )
+    expect(await Promise.all(pageContexts.map((pageContext) => pageContext.httpResponse!.getBody()))).toEqual([
+      'html /a',
+      'html /b',
+      'html /c',
+      'html /d'
+    ])
+    // The requests are spread over the pool
+    expect(FakeWorker.instances.map(getRenders)).toEqual([2, 2])
+  })
+  it('workerData', async () => {
+    const importBuildFile = '/app/build/server/importBuild.cjs'
+    const loadNothing = async () => ({})
+    setLoaders({ pageFiles: loadNothing, clientManifest: loadNothing, pluginManifest: loadNothing }, importBuildFile)
+    try {
+      await renderPageInWorker({ urlOriginal: '/' }, { poolSize: 1, maxRendersPerWorker: null })
+    } finally {
+      setLoaders(null)
+    }
+    // The worker loads the same build as the main thread
+    expect(FakeWorker.instances.map((worker) => worker.workerData)).toEqual([{ importBuildFile }])
+  })
+  it('renderWorkers.poolSize', async () => {
+    for (const poolSize of [0, 1.5]) {
+      await expect(renderPageInWorker({ urlOriginal: '/' }, { poolSize, maxRendersPerWorker: null })).rejects.toThrow(
+        `The config \`renderWorkers.poolSize\` should be a positive integer but it's \`${poolSize}\`.`
+      )
+    }
+    expect(FakeWorker.instances.length).toBe(0)
+  })
+  it('renderWorkers.maxRendersPerWorker', async () => {
+    const renderWorkers: RenderWorkers = { poolSize: 1, maxRendersPerWorker: 2 }
+    await renderPageInWorker({ urlOriginal: '/a' }, renderWorkers)
+    expect(FakeWorker.instances.length).toBe(1)
+    await renderPageInWorker({ urlOriginal: '/b' }, renderWorkers)
+    // The worker is replaced but it finishes its pending requests before exiting
+    expect(FakeWorker.instances.length).toBe(2)
+    const [workerRecycled, workerNew] = FakeWorker.instances as [FakeWorker, FakeWorker]
+    expect(getRenders(workerRecycled)).toBe(2)
+    await new Promise((resolve) => setTimeout(resolve, 250))
+    expect(workerRecycled.terminated).toBe(true)
+    await renderPageInWorker({ urlOriginal: '/c' }, renderWorkers)
+    expect(getRenders(workerNew)).toBe(1)
+    expect(workerNew.terminated).toBe(false)
+  })
+  it('streaming', async () => {
+    const { httpResponse } = await renderPageInWorker(
+      { urlOriginal: '/stream' },
+      { poolSize: 1, maxRendersPerWorker: null }
+    )
+    expect(await httpResponse!.getBody()).toBe('hello world')
+  })
+  it('abortSignal', async () => {
+    const abortController = new AbortController()
+    const removed: string[] = []
+    const { signal } = abortController
+    const removeEventListener = signal.removeEventListener.bind(signal)
+    signal.removeEventListener = (type: string, listener: never) => {
+      removed.push(type)
+      removeEventListener(type, listener)
+    }
+    const { httpResponse } = await renderPageInWorker(
+      { urlOriginal: '/stream', abortSignal: signal },
+      { poolSize: 1, maxRendersPerWorker: null }
+    )
+    // The listener is kept until the whole stream is transferred
+    expect(removed).toEqual([])
+    expect(await httpResponse!.getBody()).toBe('hello world')
+    expect(removed).toEqual(['abort'])
+    abortController.abort()
+    const [worker] = FakeWorker.instances as [FakeWorker]
+    expect(worker.requests.map((request) => request.type)).toEqual(['render'])
+  })
+})
@@ -0,0 +1,260 @@
+export { renderPageInWorker }
+export { getRenderWorkers }
+export { isRenderWorkerThread }
+export { setRenderWorkerThread }
+export { isRenderWorkers }
+export type { RenderWorkers }
+export type { RenderWorkerRequest }
+export type { RenderWorkerMessage }
+export type { RenderWorkerData }
+
+import type { Worker } from 'worker_threads'
+import type { StreamReadableNode } from '../html/stream'
+import { createHttpResponseObjectFromWorker, HttpResponse } from './createHttpResponseObject'
+import { assert, assertUsage, getGlobalObject, hasProp, isAbortSignal, isObject, loadModuleAtRuntime } from '../utils'
+import { getHttpMethod } from './httpMethod'
+import { getGlobalContext } from '../globalContext'
+import { getImportBuildFile } from '../plugin/plugins/importBuild/loadBuild'
+import path from 'path'
+
+type RenderWorkers = { poolSize: null | number; maxRendersPerWorker: null | number }
+
+// Passed to the worker threads as `workerData`
+type RenderWorkerData = {
+  // The build loaded by the main thread, e.g. with `importBuild.cjs` of a custom `outDir`
+  importBuildFile: null | string
+}
+
+// Messages from the main thread to a render worker
+type RenderWorkerRequest =
+  | { type: 'render'; requestId: number; pageContextInit: Record<string, unknown> }
+  | { type: 'abort'; requestId: number }
+// Messages from a render worker to the main thread
+type RenderWorkerMessage = { requestId: number } & (
+  | {
+      type: 'response'
+      httpResponse:
+        | null
+        | (Pick<HttpResponse, 'statusCode' | 'contentType' | 'headers' | 'timings'> & {
+            // `null` if the body is a stream, which is then transferred with `chunk` and `end` messages
+            body: null | string
+            renderFilePath: null | string
+          })
+      errorWhileRendering: null | { message: string; stack?: string }
+    }
+  | { type: 'chunk'; chunk: Uint8Array | string }
+  | { type: 'end' }
+  | { type: 'error'; error: { message: string; stack?: string } }
+)
+
+type RenderWorker = {
+  worker: Worker
+  renders: number
+  onMessage: Map<number, (message: RenderWorkerMessage) => void>
+}
+
+const globalObject = getGlobalObject<{
+  isRenderWorkerThread: boolean
+  renderWorkers?: null | RenderWorkers
+  pool: null | RenderWorker[]
+  requestCounter: number
+}>('renderWorkers.ts', {
+  isRenderWorkerThread: false,
+  pool: null,
+  requestCounter: 0
+})
+
+// Returns `null` if the page should be rendered in the current thread
+async function getRenderWorkers(): Promise<null | RenderWorkers> {
+  if (globalObject.isRenderWorkerThread) return null
+  // The config doesn't change while the server is running: we resolve it only once instead of upon every request
+  if (globalObject.renderWorkers === undefined) {
+    const globalContext = await getGlobalContext(false)
+    // Render workers load the server production build, whereas in development pages are loaded with Vite's `ssrLoadModule()`
+    globalObject.renderWorkers = globalContext._isProduction ? globalContext._renderWorkers : null
+  }
+  return globalObject.renderWorkers
+}
+
+function setRenderWorkerThread() {
+  globalObject.isRenderWorkerThread = true
+}
+function isRenderWorkerThread() {
+  return globalObject.isRenderWorkerThread
+}
+
+function isRenderWorkers(renderWorkers: unknown): renderWorkers is RenderWorkers {
+  return (
+    isObject(renderWorkers) &&
+    (hasProp(renderWorkers, 'poolSize', 'number') || hasProp(renderWorkers, 'poolSize', 'null')) &&
+    (hasProp(renderWorkers, 'maxRendersPerWorker', 'number') || hasProp(renderWorkers, 'maxRendersPerWorker', 'null'))
+  )
+}
+function assertRenderWorkers({ poolSize, maxRendersPerWorker }: RenderWorkers) {
+  assertUsage(
+    poolSize === null || (poolSize >= 1 && Number.isInteger(poolSize)),
+    `The config \`renderWorkers.poolSize\` should be a positive integer but it's \`${poolSize}\`.`
+  )
+  assertUsage(
+    maxRendersPerWorker === null || (maxRendersPerWorker >= 1 && Number.isInteger(maxRendersPerWorker)),
+    `The config \`renderWorkers.maxRendersPerWorker\` should be a positive integer but it's \`${maxRendersPerWorker}\`.`
+  )
+}
+
+async function renderPageInWorker<PageContextInit extends { urlOriginal: string; method?: unknown }>(
+  pageContextInit: PageContextInit,
+  renderWorkers: RenderWorkers
+): Promise<
+  PageContextInit & { httpMethod: string; httpResponse: null | HttpResponse; errorWhileRendering: null | Error }
+> {
+  const renderWorker = getRenderWorker(renderWorkers)
+  const requestId = ++globalObject.requestCounter
+
+  const { abortSignal, ...pageContextInitSerializable } = pageContextInit as Record<string, unknown>
+  const request: RenderWorkerRequest = { type: 'render', requestId, pageContextInit: pageContextInitSerializable }
+  try {
+    renderWorker.worker.postMessage(request)
+  } catch (err) {
+    assertUsage(
+      false,
+      `The \`pageContextInit\` passed to \`renderPage(pageContextInit)\` should be serializable when using \`renderWorkers\` (the structured clone algorithm failed: ${
+        (err as Error).message
+      })`
+    )
+  }
+  let removeAbortListener = () => {}
+  if (isAbortSignal(abortSignal)) {
+    const abortRequest: RenderWorkerRequest = { type: 'abort', requestId }
+    const onAbort = () => renderWorker.worker.postMessage(abortRequest)
+    abortSignal.addEventListener('abort', onAbort, { once: true })
+    removeAbortListener = () => abortSignal.removeEventListener('abort', onAbort)
+  }
+  // Called once the worker is done with the request, i.e. after the whole HTML stream has been transferred
+  const onRenderEnd = () => {
+    renderWorker.onMessage.delete(requestId)
+    removeAbortListener()
+  }
+
+  let htmlStream: null | StreamReadableNode = null
+  const response = await new Promise<RenderWorkerMessage & { type: 'response' }>((resolve, reject) => {
+    renderWorker.onMessage.set(requestId, (message) => {
+      if (message.type === 'error') {
+        onRenderEnd()
+        reject(deserializeError(message.error))
+        return
+      }
+      assert(message.type === 'response')
+      const { httpResponse } = message
+      if (!httpResponse || httpResponse.body !== null) {
+        onRenderEnd()
+      } else {
+        // Listen to the stream chunks right away: they may arrive before the promise is resolved
+        htmlStream = receiveStream(renderWorker, requestId, onRenderEnd)
+      }
+      resolve(message)
+    })
+  })
+
+  const pageContext = { ...pageContextInit, httpMethod: getHttpMethod(pageContextInit) }
+  const errorWhileRendering = response.errorWhileRendering && deserializeError(response.errorWhileRendering)
+  if (!response.httpResponse) {
+    return Object.assign(pageContext, { httpResponse: null, errorWhileRendering })
+  }
+  const { body, renderFilePath } = response.httpResponse
+  const htmlRender = body ?? htmlStream
+  assert(htmlRender !== null)
+  const httpResponse = createHttpResponseObjectFromWorker(htmlRender, renderFilePath, response.httpResponse)
+  return Object.assign(pageContext, { httpResponse, errorWhileRendering })
+}
+
+function receiveStream(renderWorker: RenderWorker, requestId: number, onRenderEnd: () => void): StreamReadableNode {
+  const { Readable } = loadModuleAtRuntime('stream') as unknown as typeof import('stream')
+  const readable = new Readable({ read() {} })
+  renderWorker.onMessage.set(requestId, (message) => {
+    if (message.type === 'chunk') {
+      readable.push(message.chunk)
+      return
+    }
+    onRenderEnd()
+    if (message.type === 'end') {
+      readable.push(null)
+      return
+    }
+    assert(message.type === 'error')
+    readable.destroy(deserializeError(message.error))
+  })
+  return readable
+}
+
+function getRenderWorker(renderWorkers: RenderWorkers): RenderWorker {
+  if (!globalObject.pool) {
+    assertRenderWorkers(renderWorkers)
+    const poolSize = renderWorkers.poolSize ?? getPoolSizeDefault()
+    globalObject.pool = Array.from({ length: poolSize }, () => createRenderWorker())
+  }
+  const { pool } = globalObject
+  // The worker with the least pending requests
+  const renderWorker = pool.reduce((w1, w2) => (w2.onMessage.size < w1.onMessage.size ? w2 : w1))
+  renderWorker.renders++
+  const { maxRendersPerWorker } = renderWorkers
+  if (maxRendersPerWorker !== null && renderWorker.renders >= maxRendersPerWorker) {
+    // We recycle the worker: it finishes its pending requests and then exits
+    replaceRenderWorker(renderWorker)
+    retireRenderWorker(renderWorker)
+  }
+  return renderWorker
+}
+
+function createRenderWorker(): RenderWorker {
+  const { Worker } = loadModuleAtRuntime('worker_threads') as unknown as typeof import('worker_threads')
+  // `getRenderWorkers()` loaded the build before the pool is created
+  const workerData: RenderWorkerData = { importBuildFile: getImportBuildFile() }
+  const worker = new Worker(path.join(__dirname, 'renderWorker.js'), { workerData })
+  // Render workers shouldn't prevent the server from shutting down
+  worker.unref()
+  const renderWorker: RenderWorker = { worker, renders: 0, onMessage: new Map() }
+  worker.on('message', (message: RenderWorkerMessage) => {
+    renderWorker.onMessage.get(message.requestId)?.(message)
+  })
+  const onCrash = (err: Error) => {
+    replaceRenderWorker(renderWorker)
+    const error = { message: err.message, stack: err.stack }
+    renderWorker.onMessage.forEach((onMessage, requestId) => onMessage({ type: 'error', requestId, error }))
+  }
+  worker.on('error', onCrash)
+  worker.on('exit', (exitCode) => {
+    if (renderWorker.onMessage.size > 0) onCrash(new Error(`Render worker exited with code ${exitCode}`))
+  })
+  return renderWorker
+}
+
+function replaceRenderWorker(renderWorker: RenderWorker) {
+  const { pool } = globalObject
+  assert(pool)
+  const idx = pool.indexOf(renderWorker)
+  if (idx === -1) return
+  pool[idx] = createRenderWorker()
+}
+
+function retireRenderWorker(renderWorker: RenderWorker) {
+  const terminateWhenIdle = () => {
+    if (renderWorker.onMessage.size > 0) {
+      setTimeout(terminateWhenIdle, 100).unref()
+      return
+    }
+    renderWorker.worker.terminate()
+  }
+  // The request that triggered the recycling hasn't been posted yet
+  setTimeout(terminateWhenIdle, 100).unref()
+}
+
+function getPoolSizeDefault(): number {
+  const os = loadModuleAtRuntime('os') as unknown as typeof import('os')
+  return Math.max(1, os.cpus().length - 1)
+}
+
+function deserializeError({ message, stack }: { message: string; stack?: string }): Error {
+  const err = new Error(message)
+  if (stack) err.stack = stack
+  return err
+}
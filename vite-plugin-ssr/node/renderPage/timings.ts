@@ -0,0 +1,37 @@
+export { measure }
+export { getServerTiming }
+export type { PageContextTimings }
+export type { Timing }
+
+import { setErrorPhase } from './onErrorHook'
+
+type Timing = {
+  name: 'initializePageContext' | 'route' | 'loadPageFiles' | 'guard' | 'onBeforeRender' | 'render' | 'injectAssets'
+  /** Milliseconds */
+  duration: number
+}
+type PageContextTimings = { _timings?: Timing[] }
+
+async function measure<T>(pageContext: PageContextTimings, name: Timing['name'], fn: () => Promise<T>): Promise<T> {
+  const start = now()
+  try {
+    return await fn()
+  } catch (err) {
+    setErrorPhase(err, name)
+    throw err
+  } finally {
+    const duration = Math.round((now() - start) * 10) / 10
+    pageContext._timings = pageContext._timings ?? []
+    pageContext._timings.push({ name, duration })
+  }
+}
+
+// Format of the `Server-Timing` HTTP response header, see https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Server-Timing
+function getServerTiming(timings: Timing[]): string {
+  return timings.map(({ name, duration }) => `${name};dur=${duration}`).join(', ')
+}
+
+// `performance` isn't a global in Node.js 14
+function now(): number {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now()
+}
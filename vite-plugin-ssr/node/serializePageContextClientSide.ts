@@ -22,7 +22,7 @@ function serializePageContextClientSide(pageContext: {
   if (isErrorPageId(pageContext._pageId)) {
     assert(hasProp(pageContext, 'is404', 'boolean'))
     addIs404ToPageProps(pageContext)
-    passToClient.push(...['pageProps', 'is404', '_isError'])
+    passToClient.push(...['pageProps', 'is404', 'statusCode', '_isError'])
   }
 
   passToClient = unique(passToClient)
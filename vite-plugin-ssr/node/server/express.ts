@@ -0,0 +1,26 @@
+export { createHandler }
+
+import type { IncomingMessage, ServerResponse } from 'http'
+import { handleRequestNode } from './node-http'
+import type { PageContextInitUser } from './renderPageAdapter'
+
+// We don't depend on `@types/express`: Express' `req` and `res` extend Node.js's `IncomingMessage` and `ServerResponse`
+type Request = IncomingMessage & { originalUrl: string }
+type Response = ServerResponse
+type Next = (err?: unknown) => void
+type Options<Req extends Request, Res extends Response> = {
+  /** Request-scoped values added to `pageContextInit`, e.g. `(req) => ({ user: req.user })` */
+  pageContextInit?: PageContextInitUser<[Req, Res]>
+}
+
+/**
+ * Create an Express middleware that renders your pages, see https://vite-plugin-ssr.com/server-adapters
+ *
+ * @example
+ * app.get('*', createHandler())
+ */
+function createHandler<Req extends Request = Request, Res extends Response = Response>(
+  options: Options<Req, Res> = {}
+) {
+  return (req: Req, res: Res, next: Next): Promise<void> => handleRequestNode(req, res, next, options)
+}
@@ -0,0 +1,64 @@
+export { createHandler }
+
+import type { IncomingMessage, ServerResponse } from 'http'
+import { PassThrough } from 'stream'
+import {
+  getAbortSignalNode,
+  getHeadersGrouped,
+  isHeadRequest,
+  renderPageAdapter,
+  PageContextInitUser
+} from './renderPageAdapter'
+
+// We don't depend on `fastify`'s types: we only use a small subset of its API
+type Request = { raw: IncomingMessage; url: string }
+type Reply = {
+  raw: ServerResponse
+  code: (statusCode: number) => Reply
+  header: (name: string, value: string | string[]) => Reply
+  send: (payload?: unknown) => Reply
+  callNotFound: () => void
+}
+type Options<Req extends Request, Rep extends Reply> = {
+  /** Request-scoped values added to `pageContextInit`, e.g. `(request) => ({ user: request.user })` */
+  pageContextInit?: PageContextInitUser<[Req, Rep]>
+}
+
+/**
+ * Create a Fastify route handler that renders your pages, see https://vite-plugin-ssr.com/server-adapters
+ *
+ * @example
+ * fastify.get('*', createHandler())
+ */
+function createHandler<Req extends Request = Request, Rep extends Reply = Reply>(options: Options<Req, Rep> = {}) {
+  return async (request: Req, reply: Rep): Promise<Rep> => {
+    const { httpResponse, errorWhileRendering } = await renderPageAdapter(
+      {
+        urlOriginal: request.url,
+        headers: request.raw.headers,
+        method: request.raw.method,
+        abortSignal: getAbortSignalNode(reply.raw)
+      },
+      options.pageContextInit,
+      [request, reply]
+    )
+    if (!httpResponse) {
+      // Let Fastify's error handler respond with a `500 Internal Server Error`
+      if (errorWhileRendering) throw errorWhileRendering
+      reply.callNotFound()
+      return reply
+    }
+    reply.code(httpResponse.statusCode)
+    reply.header('Content-Type', httpResponse.contentType)
+    getHeadersGrouped(httpResponse.headers).forEach(([name, value]) => reply.header(name, value))
+    if (isHeadRequest(request.raw.method)) {
+      reply.send()
+      return reply
+    }
+    // Fastify accepts a Node.js readable stream: it supports both HTML strings and HTML streams
+    const body = new PassThrough()
+    httpResponse.pipe(body)
+    reply.send(body)
+    return reply
+  }
+}
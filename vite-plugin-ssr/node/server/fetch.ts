@@ -0,0 +1,55 @@
+export { createFetchHandler }
+
+import { isHeadRequest, renderPageAdapter, PageContextInitUser } from './renderPageAdapter'
+
+type FetchAsset = (request: Request) => null | undefined | Response | Promise<null | undefined | Response>
+type Options = {
+  /** Request-scoped values added to `pageContextInit`, e.g. `(request) => ({ fetch })` */
+  pageContextInit?: PageContextInitUser<[Request]>
+  /**
+   * Serve static assets, e.g. with `getAssetFromKV()` on Cloudflare Workers.
+   *
+   * Return `null` (or a `404` response) if the request isn't a static asset: the page is then rendered instead.
+   */
+  fetchAsset?: FetchAsset
+}
+
+/**
+ * Create a handler for edge runtimes that takes a `Request` and returns a `Response`, see https://vite-plugin-ssr.com/server-adapters
+ *
+ * @example
+ * const handler = createFetchHandler({ fetchAsset: (request) => env.ASSETS.fetch(request) })
+ * export default { fetch: handler }
+ */
+function createFetchHandler(options: Options = {}) {
+  return async (request: Request): Promise<Response> => {
+    if (options.fetchAsset && ['GET', 'HEAD'].includes(request.method)) {
+      const response = await options.fetchAsset(request)
+      if (response && response.status !== 404) return response
+    }
+
+    const headers: Record<string, string> = {}
+    request.headers.forEach((value, name) => {
+      headers[name] = value
+    })
+    const { httpResponse, errorWhileRendering } = await renderPageAdapter(
+      { urlOriginal: request.url, headers, method: request.method, abortSignal: request.signal },
+      options.pageContextInit,
+      [request]
+    )
+    if (!httpResponse) {
+      return errorWhileRendering
+        ? new Response('Internal Server Error', { status: 500 })
+        : new Response('Not Found', { status: 404 })
+    }
+
+    const responseHeaders = new Headers()
+    responseHeaders.set('Content-Type', httpResponse.contentType)
+    httpResponse.headers.forEach(([name, value]) => responseHeaders.append(name, value))
+    const { statusCode } = httpResponse
+    // The `Response` constructor throws if a body is provided for a status code such as `304`
+    const hasBody = !isHeadRequest(request.method) && ![204, 304].includes(statusCode)
+    const body = hasBody ? httpResponse.getReadableWebStream() : null
+    return new Response(body, { status: statusCode, headers: responseHeaders })
+  }
+}
@@ -0,0 +1,62 @@
+export { createHandler }
+
+import type { IncomingMessage, ServerResponse } from 'http'
+import { PassThrough } from 'stream'
+import {
+  getAbortSignalNode,
+  getHeadersGrouped,
+  isHeadRequest,
+  renderPageAdapter,
+  PageContextInitUser
+} from './renderPageAdapter'
+
+// We don't depend on `koa`'s types: we only use a small subset of its API
+type Context = {
+  req: IncomingMessage
+  res: ServerResponse
+  originalUrl: string
+  method: string
+  status: number
+  body: unknown
+  set: (name: string, value: string | string[]) => void
+}
+type Next = () => Promise<unknown>
+type Options<Ctx extends Context> = {
+  /** Request-scoped values added to `pageContextInit`, e.g. `(ctx) => ({ user: ctx.state.user })` */
+  pageContextInit?: PageContextInitUser<[Ctx]>
+}
+
+/**
+ * Create a Koa middleware that renders your pages, see https://vite-plugin-ssr.com/server-adapters
+ *
+ * @example
+ * app.use(createHandler())
+ */
+function createHandler<Ctx extends Context = Context>(options: Options<Ctx> = {}) {
+  return async (ctx: Ctx, next: Next): Promise<void> => {
+    const { httpResponse, errorWhileRendering } = await renderPageAdapter(
+      {
+        urlOriginal: ctx.originalUrl,
+        headers: ctx.req.headers,
+        method: ctx.req.method,
+        abortSignal: getAbortSignalNode(ctx.res)
+      },
+      options.pageContextInit,
+      [ctx]
+    )
+    if (!httpResponse) {
+      // Let Koa respond with a `500 Internal Server Error`
+      if (errorWhileRendering) throw errorWhileRendering
+      await next()
+      return
+    }
+    ctx.status = httpResponse.statusCode
+    ctx.set('Content-Type', httpResponse.contentType)
+    getHeadersGrouped(httpResponse.headers).forEach(([name, value]) => ctx.set(name, value))
+    // Koa doesn't send a body for `HEAD` requests nor for status codes such as `304`
+    if (isHeadRequest(ctx.method)) return
+    const body = new PassThrough()
+    httpResponse.pipe(body)
+    ctx.body = body
+  }
+}
@@ -0,0 +1,66 @@
+export { createHandler }
+export { handleRequestNode }
+
+import type { IncomingMessage, ServerResponse } from 'http'
+import type { HttpResponse } from '../renderPage/createHttpResponseObject'
+import { assert } from '../utils'
+import {
+  getAbortSignalNode,
+  getHeadersGrouped,
+  isHeadRequest,
+  renderPageAdapter,
+  PageContextInitUser
+} from './renderPageAdapter'
+
+type Next = (err?: unknown) => void
+type Options = {
+  /** Request-scoped values added to `pageContextInit`, e.g. `(req) => ({ user: req.user })` */
+  pageContextInit?: PageContextInitUser<[IncomingMessage, ServerResponse]>
+}
+
+/**
+ * Create a request handler for Node.js's built-in `http` server, see https://vite-plugin-ssr.com/server-adapters
+ *
+ * @example
+ * http.createServer(createHandler())
+ */
+function createHandler(options: Options = {}) {
+  return (req: IncomingMessage, res: ServerResponse, next?: Next): Promise<void> =>
+    handleRequestNode(req, res, next ?? null, options)
+}
+
+async function handleRequestNode<Req extends IncomingMessage & { originalUrl?: string }, Res extends ServerResponse>(
+  req: Req,
+  res: Res,
+  next: null | Next,
+  options: { pageContextInit?: PageContextInitUser<[Req, Res]> }
+): Promise<void> {
+  const urlOriginal = req.originalUrl || req.url
+  assert(urlOriginal)
+  const { httpResponse, errorWhileRendering } = await renderPageAdapter(
+    { urlOriginal, headers: req.headers, method: req.method, abortSignal: getAbortSignalNode(res) },
+    options.pageContextInit,
+    [req, res]
+  ).catch((err: unknown) => ({ httpResponse: null, errorWhileRendering: err }))
+  if (!httpResponse) {
+    if (next) {
+      errorWhileRendering ? next(errorWhileRendering) : next()
+      return
+    }
+    res.statusCode = errorWhileRendering ? 500 : 404
+    res.end()
+    return
+  }
+  writeHttpResponse(req, res, httpResponse)
+}
+
+function writeHttpResponse(req: IncomingMessage, res: ServerResponse, httpResponse: HttpResponse) {
+  res.statusCode = httpResponse.statusCode
+  res.setHeader('Content-Type', httpResponse.contentType)
+  getHeadersGrouped(httpResponse.headers).forEach(([name, value]) => res.setHeader(name, value))
+  if (isHeadRequest(req.method)) {
+    res.end()
+    return
+  }
+  httpResponse.pipe(res)
+}
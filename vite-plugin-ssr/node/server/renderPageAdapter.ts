@@ -0,0 +1,59 @@
+export { renderPageAdapter }
+export { getHeadersGrouped }
+export { isHeadRequest }
+export { getAbortSignalNode }
+export type { PageContextInitUser }
+
+import { renderPage } from '../renderPage'
+import { assertUsage, createAbortController, isObject } from '../utils'
+import type { IncomingHttpHeaders, ServerResponse } from 'http'
+
+type PageContextInitUser<Args extends unknown[]> = (
+  ...args: Args
+) => Record<string, unknown> | Promise<Record<string, unknown>>
+
+// Shared by all server adapters
+async function renderPageAdapter<Args extends unknown[]>(
+  request: { urlOriginal: string; headers: IncomingHttpHeaders; method?: string; abortSignal?: AbortSignal },
+  pageContextInitUser: undefined | PageContextInitUser<Args>,
+  args: Args
+) {
+  const { urlOriginal, headers, method, abortSignal } = request
+  const pageContextInit = { urlOriginal, headers, userAgent: headers['user-agent'] }
+  if (method) Object.assign(pageContextInit, { method })
+  if (abortSignal) Object.assign(pageContextInit, { abortSignal })
+  if (pageContextInitUser) {
+    const pageContextInitAddendum = await pageContextInitUser(...args)
+    assertUsage(
+      isObject(pageContextInitAddendum),
+      'The `pageContextInit()` option of the server adapter should return an object, e.g. `{ user: req.user }`.'
+    )
+    Object.assign(pageContextInit, pageContextInitAddendum)
+  }
+  const { httpResponse, errorWhileRendering } = await renderPage(pageContextInit)
+  return { httpResponse, errorWhileRendering }
+}
+
+// Group values so that headers defined multiple times (e.g. `Set-Cookie`) don't override each other
+function getHeadersGrouped(headers: [string, string][]): [string, string | string[]][] {
+  const headersGrouped: Record<string, string[]> = {}
+  headers.forEach(([name, value]) => {
+    headersGrouped[name] = headersGrouped[name] ?? []
+    headersGrouped[name]!.push(value)
+  })
+  return Object.entries(headersGrouped).map(([name, values]) => [name, values.length === 1 ? values[0]! : values])
+}
+
+function isHeadRequest(method: undefined | string): boolean {
+  return method?.toUpperCase() === 'HEAD'
+}
+
+// Aborted when the client disconnects before the response is sent
+function getAbortSignalNode(res: ServerResponse): undefined | AbortSignal {
+  const abortController = createAbortController()
+  if (!abortController) return undefined
+  res.once('close', () => {
+    if (!res.writableFinished) abortController.abort()
+  })
+  return abortController.signal
+}
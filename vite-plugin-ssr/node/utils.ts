@@ -37,3 +37,4 @@ export * from '../utils/debug'
 export * from '../utils/urlToFile'
 export * from '../utils/getGlobalObject'
 export * from '../utils/callHookWithTimeout'
+export * from '../utils/createAbortController'
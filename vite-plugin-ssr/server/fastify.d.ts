@@ -0,0 +1,2 @@
+// Help TS's resolver until it supports `package.json#exports`
+export * from '../dist/cjs/node/server/fastify'
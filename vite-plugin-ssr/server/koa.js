@@ -0,0 +1,2 @@
+// eslint doesn't seem to support `package.json#exports`.
+module.exports = require('../dist/cjs/node/server/koa')
@@ -0,0 +1,55 @@
+export { RenderRedirect }
+export { isRenderRedirectException }
+export { assertRenderRedirectExceptionUsage }
+export type { RedirectStatusCode }
+
+import { assertUsage, objectAssign } from './utils'
+const stamp = '__isRenderRedirectException'
+
+const redirectStatusCodes = [301, 302, 307, 308] as const
+type RedirectStatusCode = typeof redirectStatusCodes[number]
+
+function isRenderRedirectException(thing: unknown): thing is { url: string; statusCode: RedirectStatusCode } {
+  assertRenderRedirectExceptionUsage(thing)
+  return typeof thing === 'object' && thing !== null && stamp in thing
+}
+
+/**
+ * Redirect the user to another URL, see https://vite-plugin-ssr.com/RenderRedirect
+ *
+ * Can be thrown by `onBeforeRender()`, `onBeforeRoute()`, and Route Functions.
+ *
+ * @param url The URL to redirect to, e.g. `/login` or `https://example.org/login`.
+ * @param statusCode The HTTP status code of the redirect response.
+ */
+function RenderRedirect(url: string, statusCode: RedirectStatusCode = 302) {
+  {
+    // @ts-ignore
+    const that: unknown = this
+    assertUsage(
+      !(typeof that === 'object' && that?.constructor === RenderRedirect),
+      "Don't use the `new` operator: use `throw RenderRedirect(url)` instead of `throw new RenderRedirect(url)`."
+    )
+  }
+  assertUsage(
+    typeof url === 'string' && (url.startsWith('/') || url.startsWith('http')),
+    '[RenderRedirect(url, statusCode)] Argument `url` should be a string that starts with `/` (e.g. `/login`) or `http` (e.g. `https://example.org/login`).'
+  )
+  assertUsage(
+    redirectStatusCodes.includes(statusCode),
+    `[RenderRedirect(url, statusCode)] Argument \`statusCode\` should be one of following values: ${redirectStatusCodes.join(
+      ', '
+    )}.`
+  )
+
+  const err = new Error('RenderRedirect')
+  objectAssign(err, { url, statusCode, [stamp]: true })
+  return err
+}
+
+function assertRenderRedirectExceptionUsage(err: unknown) {
+  assertUsage(
+    err !== RenderRedirect,
+    'Missing parentheses `()` in `throw RenderRedirect`: it should be `throw RenderRedirect(url)`.'
+  )
+}
@@ -1,12 +1,14 @@
 export { getHook }
 export { assertHook }
+export { getHooksTimeout }
 
 import { PageContextExports } from './getPageFiles'
 import { assert, assertUsage, isCallable } from './utils'
+import { isHooksTimeout, HooksTimeout } from '../utils/callHookWithTimeout'
 
 function getHook(
   pageContext: PageContextExports,
-  hookName: 'render' | 'onBeforeRender' | 'onBeforePrerender' | 'onBeforeRoute'
+  hookName: 'render' | 'guard' | 'onBeforeRender' | 'onBeforePrerender' | 'onBeforeRoute'
 ): null | { hook: Function; filePath: string } {
   if (!(hookName in pageContext.exports)) {
     return null
@@ -27,3 +29,16 @@ function assertHook<PC extends PageContextExports, HookName extends PropertyKey>
 ): asserts pageContext is PC & { exports: Record<HookName, Function | undefined> } {
   getHook(pageContext, hookName as any)
 }
+
+function getHooksTimeout(pageContext: PageContextExports): undefined | HooksTimeout {
+  if (!('hooksTimeout' in pageContext.exports)) {
+    return undefined
+  }
+  const { hooksTimeout } = pageContext.exports
+  const filePath = pageContext.exportsAll.hooksTimeout![0]!.filePath
+  assertUsage(
+    isHooksTimeout(hooksTimeout),
+    `\`export { hooksTimeout }\` of ${filePath} should be \`false\` or an object such as \`{ onBeforeRender: { error: 2000, warning: 500 } }\` (timeouts in milliseconds, or \`false\` to disable a timeout)`
+  )
+  return hooksTimeout
+}
@@ -10,3 +10,4 @@ export { setPageFiles } from './getPageFiles/setPageFiles'
 export { setPageFilesAsync } from './getPageFiles/setPageFiles'
 export { getPageFilesClientSide } from './getPageFiles/analyzePageClientSide/getPageFilesClientSide'
 export { getExports } from './getPageFiles/getExports'
+export { getApiPageFile } from './getPageFiles/getApiPageFile'
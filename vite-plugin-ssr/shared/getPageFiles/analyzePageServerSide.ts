@@ -21,5 +21,9 @@ async function analyzePageServerSide(pageFilesAll: PageFile[], pageId: string) {
     assert(exportNames)
     return exportNames.includes('onBeforeRender')
   })
-  return { hasOnBeforeRenderServerSideOnlyHook }
+  const hasGuardServerSideOnlyHook = pageFilesServerSideOnly.some(({ exportNames }) => {
+    assert(exportNames)
+    return exportNames.includes('guard')
+  })
+  return { hasOnBeforeRenderServerSideOnlyHook, hasGuardServerSideOnlyHook }
 }
@@ -0,0 +1,22 @@
+export { getApiPageFile }
+
+import type { PageFile } from './types'
+import { assertUsage } from '../utils'
+
+// A page ID is either a page or an API endpoint `.page.api.js`
+function getApiPageFile(pageFilesAll: PageFile[], pageId: string): null | PageFile {
+  const apiPageFile = pageFilesAll.find((p) => p.pageId === pageId && p.fileType === '.page.api')
+  if (!apiPageFile) {
+    return null
+  }
+  const pageFilesConflicting = pageFilesAll.filter(
+    (p) => p.pageId === pageId && p.fileType !== '.page.api' && p.fileType !== '.page.route'
+  )
+  assertUsage(
+    pageFilesConflicting.length === 0,
+    `${apiPageFile.filePath} defines an API endpoint and can't be combined with ${pageFilesConflicting
+      .map((p) => p.filePath)
+      .join(' ')}: move the page or the API endpoint to another path.`
+  )
+  return apiPageFile
+}
@@ -0,0 +1,15 @@
+export { getPageFile }
+
+import { getPageFileObject } from './getPageFileObject'
+import type { PageFile } from './types'
+
+// Page file fixture for unit tests, with its exports already loaded
+function getPageFile(filePath: string, fileExports: Record<string, unknown>): PageFile {
+  return {
+    ...getPageFileObject(filePath),
+    fileExports,
+    exportNames: Object.keys(fileExports),
+    loadFile: async () => {},
+    loadExportNames: async () => {}
+  }
+}
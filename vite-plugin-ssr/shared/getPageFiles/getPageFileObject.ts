@@ -1,4 +1,5 @@
 export { getPageFileObject }
+export { isAncestorPage }
 
 import { determinePageId } from '../determinePageId'
 import { isErrorPageId } from '../route'
@@ -41,6 +42,9 @@ function determineFileType(filePath: string): FileType {
   if (suffix2 === 'route') {
     return '.page.route'
   }
+  if (suffix2 === 'api') {
+    return '.page.api'
+  }
   assert(false, { filePath })
 }
 
@@ -73,3 +77,12 @@ function isAncestorDefaultPage(pageId: string, defaultPageFilePath: string) {
     .join('/')
   return pageId.startsWith(defaultPageDir)
 }
+
+// Whether `filePath` lives in a parent directory of the page `pageId`, e.g. `/pages/admin/_error.page.js` for the page `/pages/admin/users/index`
+function isAncestorPage(pageId: string, filePath: string) {
+  const dir = slice(filePath.split('/'), 0, -1)
+    .filter((filePathSegment) => filePathSegment !== '_default')
+    .join('/')
+  // Compare whole path segments: `/pages/admin/_error.page.js` isn't an ancestor of `/pages/admin-legacy/index`
+  return pageId.startsWith(dir + '/')
+}
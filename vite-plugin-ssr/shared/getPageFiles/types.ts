@@ -2,7 +2,7 @@ export type { FileType }
 export type { PageFile }
 export { fileTypes }
 
-const fileTypes = ['.page', '.page.server', '.page.route', '.page.client'] as const
+const fileTypes = ['.page', '.page.server', '.page.route', '.page.client', '.page.api'] as const
 type FileType = typeof fileTypes[number]
 type PageFile = {
   filePath: string
@@ -1,25 +1,34 @@
 export { route }
 export { loadPageRoutes } from './route/loadPageRoutes'
-export { isErrorPageId, getErrorPageId } from './route/error-page'
+export { isErrorPageId, is404PageId, getErrorPageId } from './route/error-page'
 export type { PageRoutes, PageContextForRoute, RouteMatches }
+export type { RouteParamsCoerced } from './route/resolveRouteString'
 
 import type { PageFile } from './getPageFiles'
-import { assert, assertUsage, hasProp, isPlainObject, objectAssign } from './utils'
+import { assert, assertUsage, hasProp, isPlainObject, objectAssign, prependBaseUrl } from './utils'
 import { addComputedUrlProps, PageContextUrlSource } from './addComputedUrlProps'
 import { resolvePrecendence } from './route/resolvePrecedence'
-import { resolveRouteString } from './route/resolveRouteString'
+import {
+  resolveRouteString,
+  getRouteParamsCoerced,
+  getUrlFromRouteStringAndParams,
+  RouteParamsCoerced
+} from './route/resolveRouteString'
+import { RenderRedirect } from './RenderRedirect'
 import { resolveRouteFunction } from './route/resolveRouteFunction'
 import { callOnBeforeRouteHook } from './route/callOnBeforeRouteHook'
 import { PageRoutes, loadPageRoutes, RouteType } from './route/loadPageRoutes'
 import { debug } from './route/debug'
 
 type PageContextForRoute = PageContextUrlSource & {
+  httpMethod: string
   _pageFilesAll: PageFile[]
   _allPageIds: string[]
 }
 type RouteMatch = {
   pageId: string
   routeString?: string
+  canonicalRouteString?: null | string
   precedence?: number | null
   routeType: RouteType
   routeParams: Record<string, string>
@@ -30,6 +39,8 @@ async function route(pageContext: PageContextForRoute): Promise<{
   pageContextAddendum: {
     _pageId: string | null
     routeParams: Record<string, string>
+    routeParamsCoerced: RouteParamsCoerced
+    routeString: null | string
     _routingProvidedByOnBeforeRouteHook: boolean
     _routeMatches: RouteMatches
   } & Record<string, unknown>
@@ -52,6 +63,8 @@ async function route(pageContext: PageContextForRoute): Promise<{
           assert(hasProp(pageContextAddendum, 'routeParams', 'object'))
         }
         objectAssign(pageContextAddendum, {
+          routeParamsCoerced: { ...pageContextAddendum.routeParams },
+          routeString: null,
           _routingProvidedByOnBeforeRouteHook: true,
           _routeMatches: 'CUSTOM_ROUTE' as const
         })
@@ -94,7 +107,7 @@ async function route(pageContext: PageContextForRoute): Promise<{
 
       // Route String defined in `.page.route.js`
       if (pageRoute.routeType === 'STRING') {
-        const { routeString } = pageRoute
+        const { routeString, canonicalRouteString } = pageRoute
         const match = resolveRouteString(routeString, urlPathname)
         if (match) {
           const { routeParams } = match
@@ -102,6 +115,7 @@ async function route(pageContext: PageContextForRoute): Promise<{
           routeMatches.push({
             pageId,
             routeString,
+            canonicalRouteString,
             routeParams,
             routeType
           })
@@ -134,17 +148,30 @@ async function route(pageContext: PageContextForRoute): Promise<{
   if (!winner) {
     objectAssign(pageContextAddendum, {
       _pageId: null,
-      routeParams: {}
+      routeParams: {},
+      routeParamsCoerced: {},
+      routeString: null
     })
     return { pageContextAddendum }
   }
 
+  // Redirect aliases to the canonical route string
+  if (winner.canonicalRouteString && winner.routeString !== winner.canonicalRouteString) {
+    const { searchOriginal, hashOriginal } = pageContext.urlParsed
+    const url = getUrlFromRouteStringAndParams(winner.canonicalRouteString, winner.routeParams)
+    throw RenderRedirect(prependBaseUrl(url, pageContext._baseUrl) + (searchOriginal ?? '') + (hashOriginal ?? ''), 301)
+  }
+
   {
     const { routeParams } = winner
     assert(isPlainObject(routeParams))
     objectAssign(pageContextAddendum, {
       _pageId: winner.pageId,
-      routeParams: winner.routeParams
+      routeParams: winner.routeParams,
+      routeParamsCoerced: winner.routeString
+        ? getRouteParamsCoerced(winner.routeString, winner.routeParams)
+        : { ...winner.routeParams },
+      routeString: winner.routeString ?? null
     })
   }
 
@@ -61,6 +61,15 @@ describe('deduceRouteStringFromFilesystemPath', () => {
     expect(deduceRouteStringFromFilesystemPath(pS[5], [fsRoot])).toBe('/about')
   })
 
+  it('parameter directories and route groups', () => {
+    expect(deduceRouteStringFromFilesystemPath('/pages/product/@id/index', [])).toBe('/product/@id')
+    expect(deduceRouteStringFromFilesystemPath('/pages/(marketing)/about/index', [])).toBe('/about')
+    expect(deduceRouteStringFromFilesystemPath('/pages/(marketing)/index', [])).toBe('/')
+    expect(deduceRouteStringFromFilesystemPath('/pages/(shop)/product/@id/(tabs)/reviews', [])).toBe(
+      '/product/@id/reviews'
+    )
+  })
+
   it('all features', () => {
     let p1 = '/src/product/src/pages/@id'
     let p2 = '/src/auth/src/pages/index'
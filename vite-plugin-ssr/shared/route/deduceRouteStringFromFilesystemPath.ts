@@ -1,6 +1,7 @@
 import { assert, higherFirst, slice } from './utils'
 
 export { deduceRouteStringFromFilesystemPath }
+export { getFilesystemRoot }
 export type { FilesystemRoot }
 
 type FilesystemRoot = {
@@ -8,12 +9,17 @@ type FilesystemRoot = {
   routeRoot: string
 }
 
-function deduceRouteStringFromFilesystemPath(pageId: string, filesystemRoots: FilesystemRoot[]): string {
-  // Handle Filesystem Routing Root
+// The Filesystem Routing Root that applies to `pageId`, if any
+function getFilesystemRoot(pageId: string, filesystemRoots: FilesystemRoot[]): null | FilesystemRoot {
   const filesystemRootsMatch = filesystemRoots
     .filter(({ filesystemRoot }) => pageId.startsWith(filesystemRoot))
     .sort(higherFirst(({ filesystemRoot }) => filesystemRoot.length))
-  const fsRoot = filesystemRootsMatch[0]
+  return filesystemRootsMatch[0] ?? null
+}
+
+function deduceRouteStringFromFilesystemPath(pageId: string, filesystemRoots: FilesystemRoot[]): string {
+  // Handle Filesystem Routing Root
+  const fsRoot = getFilesystemRoot(pageId, filesystemRoots)
 
   let filesystemRoute: string
   if (fsRoot) {
@@ -43,6 +49,12 @@ function deduceRouteStringFromFilesystemPath(pageId: string, filesystemRoots: Fi
     .filter((dir) => dir !== 'pages' && dir !== 'src' && dir !== 'index')
     .join('/')
 
+  // Remove route groups such as `(marketing)/`
+  filesystemRoute = filesystemRoute
+    .split('/')
+    .filter((dir) => !isRouteGroup(dir))
+    .join('/')
+
   // Hanlde `/index.page.*` suffix
   assert(!filesystemRoute.includes('.page.'))
   assert(!filesystemRoute.endsWith('.'))
@@ -59,3 +71,8 @@ function deduceRouteStringFromFilesystemPath(pageId: string, filesystemRoots: Fi
 
   return filesystemRoute
 }
+
+// Directories wrapped in parentheses, e.g. `(marketing)/`, organize pages without affecting their URL
+function isRouteGroup(dir: string): boolean {
+  return dir.startsWith('(') && dir.endsWith(')')
+}
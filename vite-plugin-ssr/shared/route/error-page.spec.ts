@@ -0,0 +1,43 @@
+import { getErrorPageId } from './error-page'
+import { expect, describe, it } from 'vitest'
+
+describe('getErrorPageId()', () => {
+  const allPageIds = ['/pages/index', '/pages/admin/users', '/pages/_error', '/pages/admin/_error']
+  it('nearest error page', () => {
+    expect(
+      getErrorPageId(allPageIds, { pageId: '/pages/admin/users', urlPathname: '/admin/users', is404: false })
+    ).toBe('/pages/admin/_error')
+    expect(getErrorPageId(allPageIds, { pageId: '/pages/index', urlPathname: '/', is404: false })).toBe('/pages/_error')
+    // `/pages/admin-legacy/` isn't a sub-directory of `/pages/admin/`
+    expect(
+      getErrorPageId(allPageIds, {
+        pageId: '/pages/admin-legacy/users',
+        urlPathname: '/admin-legacy/users',
+        is404: false
+      })
+    ).toBe('/pages/_error')
+  })
+  it('404', () => {
+    expect(getErrorPageId(allPageIds, { pageId: null, urlPathname: '/admin/does-not-exist', is404: true })).toBe(
+      '/pages/admin/_error'
+    )
+    expect(getErrorPageId(allPageIds, { pageId: null, urlPathname: '/administrator', is404: true })).toBe(
+      '/pages/_error'
+    )
+  })
+  it('_404.page.js', () => {
+    const pageIds = [...allPageIds, '/pages/_404']
+    expect(getErrorPageId(pageIds, { pageId: null, urlPathname: '/admin/does-not-exist', is404: true })).toBe(
+      '/pages/_404'
+    )
+    expect(getErrorPageId(pageIds, { pageId: '/pages/index', urlPathname: '/', is404: false })).toBe('/pages/_error')
+  })
+  it('root error page', () => {
+    const pageIds = ['/pages/index', '/pages/admin/_error', '/renderer/_error']
+    expect(getErrorPageId(pageIds, { pageId: '/pages/index', urlPathname: '/', is404: false })).toBe('/renderer/_error')
+    expect(getErrorPageId(['/pages/index'], { pageId: '/pages/index', urlPathname: '/', is404: false })).toBe(null)
+    expect(() =>
+      getErrorPageId(['/pages/_error', '/renderer/_error'], { pageId: null, urlPathname: '/', is404: false })
+    ).toThrow('Only one root `_error.page.js` is allowed')
+  })
+})
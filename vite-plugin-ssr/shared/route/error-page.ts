@@ -1,23 +1,75 @@
-import { assert, assertUsage } from './utils'
+import { assert, assertUsage, higherFirst, slice } from './utils'
+import { isAncestorPage } from '../getPageFiles/getPageFileObject'
+import { deduceRouteStringFromFilesystemPath } from './deduceRouteStringFromFilesystemPath'
 
 export { getErrorPageId }
 export { isErrorPageId }
+export { is404PageId }
 
-function getErrorPageId(allPageIds: string[]): string | null {
-  const errorPageIds = allPageIds.filter((pageId) => isErrorPageId(pageId))
-  assertUsage(
-    errorPageIds.length <= 1,
-    `Only one \`_error.page.js\` is allowed. Found several: ${errorPageIds.join(' ')}`
-  )
-  if (errorPageIds.length > 0) {
-    const errorPageId = errorPageIds[0]
-    assert(errorPageId)
-    return errorPageId
+// The error page is the nearest `_error.page.js` up the directory tree of the page that failed, e.g. `/pages/admin/_error.page.js` handles errors of `/pages/admin/users/index.page.js`. (Same as for `_default.page.js` files.)
+// If there isn't any page (404), we use the URL instead: `/pages/admin/_error.page.js` handles the URL `/admin/does-not-exist`.
+// Otherwise we fall back to the root error page, e.g. `/pages/_error.page.js` or `/renderer/_error.page.js`.
+// For 404s, `_404.page.js` pages are considered first, with the same nearest-first logic.
+function getErrorPageId(
+  allPageIds: string[],
+  pageContext: { pageId: null | string; urlPathname: string; is404: boolean }
+): string | null {
+  if (pageContext.is404) {
+    const pageIds404 = allPageIds.filter((pageId) => is404PageId(pageId))
+    const pageId404 = findNearestPageId(pageIds404, pageContext, '_404.page.js')
+    if (pageId404) {
+      return pageId404
+    }
   }
-  return null
+  const errorPageIds = allPageIds.filter((pageId) => isErrorPageId(pageId) && !is404PageId(pageId))
+  return findNearestPageId(errorPageIds, pageContext, '_error.page.js')
 }
 
+// `_404.page.js` is an error page as well: it isn't routed and it receives `pageContext.is404`/`pageContext.statusCode`
 function isErrorPageId(pageId: string): boolean {
   assert(!pageId.includes('\\'))
-  return pageId.includes('/_error')
+  return pageId.includes('/_error') || is404PageId(pageId)
+}
+
+function is404PageId(pageId: string): boolean {
+  assert(!pageId.includes('\\'))
+  return pageId.includes('/_404')
+}
+
+function findNearestPageId(
+  pageIds: string[],
+  pageContext: { pageId: null | string; urlPathname: string },
+  fileName: string
+): string | null {
+  pageIds = [...pageIds].sort(higherFirst(getDepth))
+  if (pageIds.length === 0) {
+    return null
+  }
+  const pageIdRoot = pageIds[pageIds.length - 1]
+  assert(pageIdRoot)
+  const pageIdsRoot = pageIds.filter((pageId) => getDepth(pageId) === getDepth(pageIdRoot))
+  assertUsage(
+    pageIdsRoot.length === 1,
+    `Only one root \`${fileName}\` is allowed. Found several: ${pageIdsRoot.join(' ')}`
+  )
+
+  const { pageId, urlPathname } = pageContext
+  const pageIdNearest = pageIds.find((errorPageId) =>
+    pageId !== null ? isAncestorPage(pageId, errorPageId) : isAncestorUrl(urlPathname, errorPageId)
+  )
+  if (pageIdNearest) {
+    return pageIdNearest
+  }
+
+  return pageIdRoot
+}
+
+function isAncestorUrl(urlPathname: string, errorPageId: string): boolean {
+  const errorPageDir = slice(errorPageId.split('/'), 0, -1).join('/') || '/'
+  const routeString = deduceRouteStringFromFilesystemPath(errorPageDir, [])
+  return routeString === '/' || urlPathname === routeString || urlPathname.startsWith(routeString + '/')
+}
+
+function getDepth(pageId: string): number {
+  return pageId.split('/').length
 }
@@ -0,0 +1,83 @@
+export { getUrl }
+export { setGetUrlContext }
+
+import type { PageFile } from '../getPageFiles'
+import { loadPageRoutes } from './loadPageRoutes'
+import { getUrlFromRouteStringAndParams } from './resolveRouteString'
+import { isErrorPageId } from './error-page'
+import type { PageId, RouteParams } from './routeTypes'
+import { assert, assertUsage, isPlainObject, prependBaseUrl } from '../utils'
+import { getGlobalObject } from '../../utils/getGlobalObject'
+
+type GetUrlContext = {
+  _pageFilesAll: PageFile[]
+  _allPageIds: string[]
+  _baseUrl: string
+}
+const globalObject = getGlobalObject<{ getUrlContext: null | (() => Promise<GetUrlContext>) }>('getUrl.ts', {
+  getUrlContext: null
+})
+
+// Set by the server runtime and by the browser runtime (Client Routing)
+function setGetUrlContext(getUrlContext: () => Promise<GetUrlContext>) {
+  globalObject.getUrlContext = getUrlContext
+}
+
+/**
+ * Build the URL of a page, e.g. `await getUrl('/pages/product', { id: '42' })` returns `/product/42` for the Route String `/product/@id`.
+ *
+ * See https://vite-plugin-ssr.com/getUrl
+ *
+ * @param pageId The page ID, e.g. `/pages/product` for `/pages/product.page.js`
+ * @param routeParams The values of the route string parameters
+ */
+async function getUrl<Id extends PageId>(
+  pageId: Id,
+  routeParams: RouteParams<Id> = {} as RouteParams<Id>,
+  { search, hash }: { search?: Record<string, string>; hash?: string } = {}
+): Promise<string> {
+  assertUsage(typeof pageId === 'string', '[getUrl(pageId)] Argument `pageId` should be a string.')
+  assertUsage(isPlainObject(routeParams), '[getUrl(pageId, routeParams)] Argument `routeParams` should be an object.')
+  assertUsage(
+    globalObject.getUrlContext,
+    '`getUrl()` can only be used on the server-side, or on the client-side with Client Routing.'
+  )
+  const pageContext = await globalObject.getUrlContext()
+  assertUsage(
+    pageContext._allPageIds.includes(pageId),
+    `[getUrl(pageId)] Unknown page ID \`${pageId}\`. Known page IDs: ${pageContext._allPageIds
+      .map((id) => `\`${id}\``)
+      .join(', ')}.`
+  )
+  assertUsage(!isErrorPageId(pageId), `[getUrl(pageId)] Error pages such as \`${pageId}\` don't have a URL.`)
+
+  const { pageRoutes } = await loadPageRoutes(pageContext)
+  const pageRoute = pageRoutes.find((pageRoute) => pageRoute.pageId === pageId)
+  assert(pageRoute)
+
+  let url: string
+  if (pageRoute.routeType === 'FUNCTION') {
+    const { reverse, pageRouteFilePath } = pageRoute
+    assertUsage(
+      reverse,
+      `[getUrl(pageId)] The page \`${pageId}\` is routed by the Route Function ${pageRouteFilePath}: add \`export function reverse(routeParams) { /* ... */ }\` to ${pageRouteFilePath} in order to use \`getUrl()\`.`
+    )
+    url = reverse(routeParams)
+    assertUsage(
+      typeof url === 'string' && url.startsWith('/'),
+      `The \`reverse()\` function of ${pageRouteFilePath} should return a URL that starts with \`/\`.`
+    )
+  } else {
+    const routeString = (pageRoute.routeType === 'STRING' && pageRoute.canonicalRouteString) || pageRoute.routeString
+    url = getUrlFromRouteStringAndParams(routeString, routeParams)
+  }
+
+  url = prependBaseUrl(url, pageContext._baseUrl)
+  if (search && Object.keys(search).length > 0) {
+    url += '?' + new URLSearchParams(search).toString()
+  }
+  if (hash) {
+    url += '#' + (hash.startsWith('#') ? hash.slice(1) : hash)
+  }
+  return url
+}
@@ -2,7 +2,12 @@ import { PageFile } from '../getPageFiles'
 import { isErrorPageId } from './error-page'
 import { assert, assertUsage, hasProp, slice } from './utils'
 import type { OnBeforeRouteHook } from './callOnBeforeRouteHook'
-import { FilesystemRoot, deduceRouteStringFromFilesystemPath } from './deduceRouteStringFromFilesystemPath'
+import {
+  FilesystemRoot,
+  deduceRouteStringFromFilesystemPath,
+  getFilesystemRoot
+} from './deduceRouteStringFromFilesystemPath'
+import { getRouteStringParamNames } from './resolveRouteString'
 
 export { loadPageRoutes }
 export { findPageRouteFile }
@@ -10,9 +15,21 @@ export type { PageRoutes }
 export type { RouteType }
 
 type PageRoutes = ({ pageId: string } & (
-  | { routeString: string; pageRouteFilePath: null; routeType: 'FILESYSTEM' }
-  | { routeString: string; pageRouteFilePath: string; routeType: 'STRING' }
-  | { routeFunction: Function; pageRouteFilePath: string; allowAsync: boolean; routeType: 'FUNCTION' }
+  | {
+      routeString: string
+      pageRouteFilePath: null
+      // The `filesystemRoutingRoot` export that applies to the page, if any
+      filesystemRoutingRoot: null | FilesystemRoot
+      routeType: 'FILESYSTEM'
+    }
+  | { routeString: string; pageRouteFilePath: string; routeType: 'STRING'; canonicalRouteString: null | string }
+  | {
+      routeFunction: Function
+      pageRouteFilePath: string
+      allowAsync: boolean
+      reverse: null | Function
+      routeType: 'FUNCTION'
+    }
 ))[]
 type RouteType = 'STRING' | 'FUNCTION' | 'FILESYSTEM'
 
@@ -46,6 +63,7 @@ function getPageRoutes(
           pageId,
           routeString,
           pageRouteFilePath: null,
+          filesystemRoutingRoot: getFilesystemRoot(pageId, filesystemRoots),
           routeType: 'FILESYSTEM'
         })
       } else {
@@ -54,15 +72,30 @@ function getPageRoutes(
         assertUsage('default' in fileExports, `${filePath} should have a default export.`)
         if (hasProp(fileExports, 'default', 'string')) {
           const routeString = fileExports.default
-          assertUsage(
-            routeString.startsWith('/'),
-            `A Route String should start with a leading \`/\` but \`${filePath}\` has \`export default '${routeString}'\`. Make sure to \`export default '/${routeString}'\` instead.`
-          )
+          assertRouteString(routeString, filePath)
           pageRoutes.push({
             pageId,
             routeString,
             pageRouteFilePath: filePath,
-            routeType: 'STRING'
+            routeType: 'STRING',
+            canonicalRouteString: null
+          })
+          return
+        }
+        // Aliases, e.g. `export default ['/about', '/about-us']`
+        if (hasProp(fileExports, 'default', 'string[]')) {
+          const routeStrings = fileExports.default
+          assertUsage(routeStrings.length > 0, `The default export of ${filePath} is an empty array.`)
+          routeStrings.forEach((routeString) => assertRouteString(routeString, filePath))
+          const canonicalRouteString = getCanonicalRouteString(routeStrings, fileExports, filePath)
+          routeStrings.forEach((routeString) => {
+            pageRoutes.push({
+              pageId,
+              routeString,
+              pageRouteFilePath: filePath,
+              routeType: 'STRING',
+              canonicalRouteString
+            })
           })
           return
         }
@@ -77,21 +110,70 @@ function getPageRoutes(
             )
             allowAsync = fileExports[allowKey]
           }
+          // Used by `getUrl()`
+          let reverse: null | Function = null
+          if ('reverse' in fileExports) {
+            assertUsage(
+              hasProp(fileExports, 'reverse', 'function'),
+              `The export \`reverse\` of ${filePath} should be a function.`
+            )
+            reverse = fileExports.reverse
+          }
           pageRoutes.push({
             pageId,
             routeFunction,
             pageRouteFilePath: filePath,
             allowAsync,
+            reverse,
             routeType: 'FUNCTION'
           })
           return
         }
-        assertUsage(false, `The default export of ${filePath} should be a string or a function.`)
+        assertUsage(false, `The default export of ${filePath} should be a string, an array of strings, or a function.`)
       }
     })
   return pageRoutes
 }
 
+function assertRouteString(routeString: string, filePath: string) {
+  assertUsage(
+    routeString.startsWith('/'),
+    `A Route String should start with a leading \`/\` but \`${filePath}\` has \`export default '${routeString}'\`. Make sure to \`export default '/${routeString}'\` instead.`
+  )
+}
+
+// With `export const canonical = true`, the first route string is the canonical one and the other route strings redirect to it
+function getCanonicalRouteString(
+  routeStrings: string[],
+  fileExports: Record<string, unknown>,
+  filePath: string
+): null | string {
+  if (!('canonical' in fileExports)) {
+    return null
+  }
+  assertUsage(
+    hasProp(fileExports, 'canonical', 'boolean'),
+    `The export \`canonical\` of ${filePath} should be a boolean.`
+  )
+  if (!fileExports.canonical) {
+    return null
+  }
+  const canonicalRouteString = routeStrings[0]
+  assert(canonicalRouteString)
+  // The URL of the canonical route string is determined by the route parameters of the alias
+  const paramsRequired = getRouteStringParamNames(canonicalRouteString).filter((p) => !p.isOptional)
+  routeStrings.forEach((routeString) => {
+    const paramNames = getRouteStringParamNames(routeString).map((p) => p.paramName)
+    paramsRequired.forEach(({ paramName }) => {
+      assertUsage(
+        paramNames.includes(paramName),
+        `The route string \`${routeString}\` of ${filePath} is missing the parameter \`${paramName}\` of the canonical route string \`${canonicalRouteString}\`.`
+      )
+    })
+  })
+  return canonicalRouteString
+}
+
 function getGlobalHooks(pageContext: { _pageFilesAll: PageFile[] }): {
   onBeforeRouteHook: null | OnBeforeRouteHook
   filesystemRoots: FilesystemRoot[]
@@ -2,7 +2,7 @@ export { resolvePrecendence }
 // export type { RouteMatch }
 
 import { analyzeRouteString } from './resolveRouteString'
-import { higherFirst } from './utils'
+import { higherFirst, lowerFirst } from './utils'
 import { makeFirst } from './utils'
 import { isStaticRouteString } from './resolveRouteString'
 import type { RouteType } from './loadPageRoutes'
@@ -71,6 +71,24 @@ function sortMatches(routeMatch1: RouteMatch, routeMatch2: RouteMatch): 0 | -1 |
     }
   }
 
+  // Return route with most constrained parameter segments first, e.g. `/user/@id:int` before `/user/@username`
+  {
+    const getValue = (routeString: string) => analyzeRouteString(routeString).numberOfConstrainedParameterSegments
+    const result = higherFirst(getValue)(routeMatch1.routeString, routeMatch2.routeString)
+    if (result !== 0) {
+      return result
+    }
+  }
+
+  // Return route with least optional parameter segments first
+  {
+    const getValue = (routeString: string) => analyzeRouteString(routeString).numberOfOptionalParameterSegments
+    const result = lowerFirst(getValue)(routeMatch1.routeString, routeMatch2.routeString)
+    if (result !== 0) {
+      return result
+    }
+  }
+
   // Return catch-all routes last
   {
     if (analyzeRouteString(routeMatch2.routeString).isCatchAll) {
@@ -56,6 +56,31 @@ describe('Route Strings Precedence', () => {
     ].forEach(([url, routeString]) => testUrl(url!, routeString!, routes))
   })
 
+  it('optional parameters', () => {
+    const routes = ['/', '/*', '/@path', '/products', '/products/@category?', '/products/@category', '/products/new']
+
+    ;[
+      ['/', '/'],
+      ['/products', '/products'],
+      ['/products/new', '/products/new'],
+      ['/products/shoes', '/products/@category'],
+      ['/other', '/@path'],
+      ['/products/shoes/42', '/*']
+    ].forEach(([url, routeString]) => testUrl(url!, routeString!, routes))
+
+    testUrl('/products', '/products/@category?', ['/*', '/@path', '/products/@category?'])
+  })
+
+  it('parameter constraints', () => {
+    const routes = ['/user/@username', '/user/@id:int', '/user/@id(\\d+)/@tab']
+
+    ;[
+      ['/user/42', '/user/@id:int'],
+      ['/user/jon', '/user/@username'],
+      ['/user/42/posts', '/user/@id(\\d+)/@tab']
+    ].forEach(([url, routeString]) => testUrl(url!, routeString!, routes))
+  })
+
   it('newspaper use case', () => {
     const routes = [
       '/', // homepage
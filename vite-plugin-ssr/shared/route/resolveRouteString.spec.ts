@@ -1,4 +1,9 @@
-import { resolveRouteString } from './resolveRouteString'
+import {
+  resolveRouteString,
+  getRouteParamsCoerced,
+  getUrlFromRouteStringAndParams,
+  analyzeRouteString
+} from './resolveRouteString'
 import { expect, describe, it } from 'vitest'
 import partRegex from '@brillout/part-regex'
 
@@ -48,6 +53,97 @@ describe('resolveRouteString', () => {
     expect(resolveRouteString('/@p1/@p2', '/a/b/c')).toEqual(null)
   })
 
+  it('optional parameters', () => {
+    expect(resolveRouteString('/products/@category?', '/products')).toEqual({ routeParams: {} })
+    expect(resolveRouteString('/products/@category?', '/products/')).toEqual({ routeParams: {} })
+    expect(resolveRouteString('/products/@category?', '/products/shoes')).toEqual({
+      routeParams: { category: 'shoes' }
+    })
+    expect(resolveRouteString('/products/@category?', '/products/shoes/42')).toEqual(null)
+    expect(resolveRouteString('/products/@category?', '/')).toEqual(null)
+    expect(resolveRouteString('/@lang?', '/')).toEqual({ routeParams: {} })
+    expect(resolveRouteString('/@lang?', '/de')).toEqual({ routeParams: { lang: 'de' } })
+    expect(resolveRouteString('/@lang?/about', '/about')).toEqual({ routeParams: {} })
+    expect(resolveRouteString('/@lang?/about', '/de/about')).toEqual({ routeParams: { lang: 'de' } })
+    expect(resolveRouteString('/@p1?/@p2?', '/a')).toEqual({ routeParams: { p1: 'a' } })
+    expect(resolveRouteString('/@p1?/@p2?', '/a/b')).toEqual({ routeParams: { p1: 'a', p2: 'b' } })
+    expect(resolveRouteString('/a/@p?/*', '/a')).toEqual({ routeParams: { '*': '' } })
+    expect(resolveRouteString('/a/@p?/*', '/a/b/c')).toEqual({ routeParams: { p: 'b', '*': 'c' } })
+
+    expectError(
+      () => resolveRouteString('/about?', '/about'),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] Invalid route string \`/about?\`: only parameters can be optional and the question mark \`?\` should be at the end of the parameter, e.g. \`/product/@view?\`.`
+    )
+  })
+
+  it('parameter constraints', () => {
+    expect(resolveRouteString('/user/@id(\\d+)', '/user/42')).toEqual({ routeParams: { id: '42' } })
+    expect(resolveRouteString('/user/@id(\\d+)', '/user/jon')).toEqual(null)
+    expect(resolveRouteString('/user/@id(\\d+)', '/user/42a')).toEqual(null)
+    expect(resolveRouteString('/user/@id(\\d+)?', '/user')).toEqual({ routeParams: {} })
+    expect(resolveRouteString('/user/@id:int', '/user/42')).toEqual({ routeParams: { id: '42' } })
+    expect(resolveRouteString('/user/@id:int', '/user/4.2')).toEqual(null)
+    expect(resolveRouteString('/user/@id:float', '/user/4.2')).toEqual({ routeParams: { id: '4.2' } })
+    expect(resolveRouteString('/post/@draft:boolean', '/post/true')).toEqual({ routeParams: { draft: 'true' } })
+    expect(resolveRouteString('/post/@draft:boolean', '/post/yes')).toEqual(null)
+    expect(resolveRouteString('/@slug:uuid', '/0b2d8a1c-7f1e-4a3b-9c6d-5e4f3a2b1c0d')).toEqual({
+      routeParams: { slug: '0b2d8a1c-7f1e-4a3b-9c6d-5e4f3a2b1c0d' }
+    })
+    expect(resolveRouteString('/@slug:uuid', '/hello')).toEqual(null)
+
+    expect(getRouteParamsCoerced('/user/@id:int/@draft:boolean?', { id: '42', draft: 'false' })).toEqual({
+      id: 42,
+      draft: false
+    })
+    expect(getRouteParamsCoerced('/user/@id:int/@draft:boolean?', { id: '42' })).toEqual({ id: 42 })
+    expect(getRouteParamsCoerced('/user/@id(\\d+)', { id: '42' })).toEqual({ id: '42' })
+
+    // The glob character `*` can be used in regular expressions
+    expect(resolveRouteString('/@slug([a-z]*)', '/hello')).toEqual({ routeParams: { slug: 'hello' } })
+    expect(resolveRouteString('/@slug([a-z]*)', '/hello1')).toEqual(null)
+    expect(resolveRouteString('/docs/@section([a-z]*)/*', '/docs/guide/intro')).toEqual({
+      routeParams: { section: 'guide', '*': 'intro' }
+    })
+    expect(analyzeRouteString('/@slug([a-z]*)').isCatchAll).toBe(false)
+    // Parentheses of static segments aren't regular expressions
+    expect(resolveRouteString('/a(b/@id', '/a(b/42')).toEqual({ routeParams: { id: '42' } })
+
+    expectError(
+      () => resolveRouteString('/@path(a/b)', '/a/b'),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] Invalid route string \`/@path(a/b)\`: the regular expression of a parameter cannot contain a slash \`/\`, because a parameter matches a single URL segment.`
+    )
+    expectError(
+      () => resolveRouteString('/@path(a\\/b)/@id', '/a/b/42'),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] Invalid route string \`/@path(a\\/b)/@id\`: the regular expression of a parameter cannot contain a slash \`/\`, because a parameter matches a single URL segment.`
+    )
+    expectError(
+      () => resolveRouteString('/user/@id:number', '/user/42'),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] Invalid route string \`/user/@id:number\`: unknown parameter matcher \`number\`, use one of: \`int\`, \`float\`, \`boolean\`, \`uuid\`.`
+    )
+  })
+
+  it('getUrlFromRouteStringAndParams()', () => {
+    expect(getUrlFromRouteStringAndParams('/', {})).toBe('/')
+    expect(getUrlFromRouteStringAndParams('/about', {})).toBe('/about')
+    expect(getUrlFromRouteStringAndParams('/product/@id', { id: '42' })).toBe('/product/42')
+    expect(getUrlFromRouteStringAndParams('/product/@id:int', { id: '42' })).toBe('/product/42')
+    expect(getUrlFromRouteStringAndParams('/products/@category?', {})).toBe('/products')
+    expect(getUrlFromRouteStringAndParams('/@lang?', {})).toBe('/')
+    expect(getUrlFromRouteStringAndParams('/search/@query', { query: 'a b/c' })).toBe('/search/a%20b%2Fc')
+    expect(getUrlFromRouteStringAndParams('/docs/*', { '*': 'guide/intro' })).toBe('/docs/guide/intro')
+    expect(getUrlFromRouteStringAndParams('/docs/*', {})).toBe('/docs')
+    expect(getUrlFromRouteStringAndParams('*', {})).toBe('/')
+
+    expectError(
+      () => getUrlFromRouteStringAndParams('/product/@id', {}),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] Missing value for the parameter \`@id\` of the route string \`/product/@id\``
+    )
+    expectError(
+      () => getUrlFromRouteStringAndParams('/product/@id:int', { id: 'abc' }),
+      partRegex`[vite-plugin-ssr@${/[\.0-9]+/}][Wrong Usage] The value \`abc\` doesn't match the parameter \`@id:int\` of the route string \`/product/@id:int\``
+    )
+  })
+
   it('glob', () => {
     expect(resolveRouteString('*', '/')).toEqual({ routeParams: { '*': '' } })
     expect(resolveRouteString('/*', '/')).toEqual({ routeParams: { '*': '' } })
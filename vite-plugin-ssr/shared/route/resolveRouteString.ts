@@ -2,6 +2,10 @@ export { resolveRouteString }
 export { getUrlFromRouteString }
 export { isStaticRouteString }
 export { analyzeRouteString }
+export { getRouteParamsCoerced }
+export { getUrlFromRouteStringAndParams }
+export { getRouteStringParamNames }
+export type { RouteParamsCoerced }
 
 import { assertWarning } from '../utils'
 import { assert, assertUsage } from './utils'
@@ -9,6 +13,8 @@ import { assert, assertUsage } from './utils'
 const PARAM_TOKEN_NEW = '@'
 const PARAM_TOKEN_OLD = ':'
 
+type RouteParamsCoerced = Record<string, string | number | boolean>
+
 function resolveRouteString(routeString: string, urlPathname: string): null | { routeParams: Record<string, string> } {
   assertUsage(
     routeString === '*' || routeString.startsWith('/'),
@@ -23,8 +29,20 @@ function resolveRouteString(routeString: string, urlPathname: string): null | {
 
   const routeParams: Record<string, string> = {}
 
+  assertParams(routeString)
   assertGlob(routeString)
 
+  // `/products/@category?` => `/products/@category` and `/products`
+  if (routeSegments.some(isOptionalParam)) {
+    for (const routeStringVariant of getRouteStringVariants(routeString)) {
+      const match = resolveRouteString(routeStringVariant, urlPathname)
+      if (match) {
+        return match
+      }
+    }
+    return null
+  }
+
   if (routeString === '*') {
     routeString = '/*'
   }
@@ -47,7 +65,12 @@ function resolveRouteString(routeString: string, urlPathname: string): null | {
       if (!urlSegment) {
         return null
       }
-      routeParams[routeSegment.slice(1)] = urlSegment
+      const param = parseParam(routeSegment)
+      assert(param)
+      if (param.constraint && !param.constraint.test(urlSegment)) {
+        return null
+      }
+      routeParams[param.paramName] = urlSegment
     } else {
       if ((routeSegment || '') !== (urlSegment || '')) {
         return null
@@ -67,17 +90,119 @@ function getUrlFromRouteString(routeString: string): null | string {
   return null
 }
 
+// `/product/@id` + `{ id: '42' }` => `/product/42`
+function getUrlFromRouteStringAndParams(routeString: string, routeParams: Record<string, string>): string {
+  assert(routeString.startsWith('/') || routeString === '*')
+  const urlSegments: string[] = []
+  routeString.split('/').forEach((routeSegment) => {
+    if (routeSegment === '*') {
+      const paramValue = routeParams['*'] ?? ''
+      if (paramValue !== '') urlSegments.push(encodeURI(paramValue))
+      return
+    }
+    const param = parseParam(routeSegment)
+    if (!param) {
+      urlSegments.push(routeSegment)
+      return
+    }
+    const paramValue = routeParams[param.paramName]
+    if (paramValue === undefined) {
+      assertUsage(
+        param.isOptional,
+        `Missing value for the parameter \`${routeSegment}\` of the route string \`${routeString}\``
+      )
+      return
+    }
+    assertUsage(
+      !param.constraint || param.constraint.test(paramValue),
+      `The value \`${paramValue}\` doesn't match the parameter \`${routeSegment}\` of the route string \`${routeString}\``
+    )
+    urlSegments.push(encodeURIComponent(paramValue))
+  })
+  const url = urlSegments.join('/')
+  return url.startsWith('/') ? url : '/' + url
+}
+
+// The names of the parameters and whether they are required, e.g. `/@lang?/product/@id` => `[{ paramName: 'lang', isOptional: true }, { paramName: 'id', isOptional: false }]`
+function getRouteStringParamNames(routeString: string): { paramName: string; isOptional: boolean }[] {
+  const paramNames: { paramName: string; isOptional: boolean }[] = []
+  routeString.split('/').forEach((routeSegment) => {
+    if (routeSegment === '*') {
+      paramNames.push({ paramName: '*', isOptional: false })
+      return
+    }
+    const param = parseParam(routeSegment, routeString)
+    if (param) paramNames.push({ paramName: param.paramName, isOptional: param.isOptional })
+  })
+  return paramNames
+}
+
 function assertGlob(routeString: string) {
-  const numberOfGlobChars = routeString.split('*').length - 1
+  // Only standalone `*` segments are globs, e.g. the `*` of `@slug([a-z]*)` is part of a regular expression
+  const routeSegments = routeString.split('/')
+  const numberOfGlobs = routeSegments.filter((routeSegment) => routeSegment === '*').length
   assertUsage(
-    numberOfGlobChars <= 1,
+    numberOfGlobs <= 1,
     `Invalid route string \`${routeString}\`: route strings are not allowed to contain more than one glob character \`*\`.`
   )
   assertUsage(
-    numberOfGlobChars === 0 || (numberOfGlobChars === 1 && routeString.endsWith('*')),
+    numberOfGlobs === 0 || routeSegments[routeSegments.length - 1] === '*',
     `Invalid route string \`${routeString}\`: make sure your route string ends with the glob character \`*\`.`
   )
 }
+function assertParams(routeString: string) {
+  // Route strings are split at `/` before parameters are parsed
+  assertUsage(
+    !hasSlashInsideParentheses(routeString),
+    `Invalid route string \`${routeString}\`: the regular expression of a parameter cannot contain a slash \`/\`, because a parameter matches a single URL segment.`
+  )
+  routeString.split('/').forEach((routeSegment) => {
+    // Asserts the parameter's syntax
+    if (parseParam(routeSegment, routeString)) return
+    assertUsage(
+      !routeSegment.includes('?'),
+      `Invalid route string \`${routeString}\`: only parameters can be optional and the question mark \`?\` should be at the end of the parameter, e.g. \`/product/@view?\`.`
+    )
+  })
+}
+// Whether the regular expression of a parameter contains `/`, e.g. `/@path(a/b)`
+function hasSlashInsideParentheses(routeString: string): boolean {
+  let routeSegment = ''
+  let depth = 0
+  for (let i = 0; i < routeString.length; i++) {
+    let char = routeString[i]!
+    if (char === '\\' && depth > 0) {
+      // Escaped characters, e.g. `\(` or `\/`
+      char = routeString[++i] ?? ''
+      if (char === '/') return true
+      continue
+    }
+    if (char === '/') {
+      if (depth > 0) return true
+      routeSegment = ''
+      continue
+    }
+    routeSegment += char
+    if (!isParam(routeSegment)) continue
+    if (char === '(') depth++
+    if (char === ')' && depth > 0) depth--
+  }
+  return false
+}
+// The variants including the most parameters come first, so that `/@lang?/@page?` with `/about` matches `{ lang: 'about' }`
+function getRouteStringVariants(routeString: string): string[] {
+  let variants: string[][] = [[]]
+  routeString.split('/').forEach((routeSegment) => {
+    if (!isOptionalParam(routeSegment)) {
+      variants = variants.map((variant) => [...variant, routeSegment])
+      return
+    }
+    const routeSegmentRequired = routeSegment.slice(0, -1)
+    variants = ([] as string[][]).concat(...variants.map((variant) => [[...variant, routeSegmentRequired], variant]))
+  })
+  return variants.map((variant) => variant.join('/') || '/')
+}
+
 function analyzeRouteString(routeString: string) {
   const routeSegments = routeString.split('/').filter((routeSegment) => routeSegment !== '' && routeSegment !== '*')
 
@@ -90,20 +215,106 @@ function analyzeRouteString(routeString: string) {
   }
 
   const numberOfStaticSegements = routeSegments.filter((s) => !isParam(s)).length
-  const numberOfParameterSegments = routeSegments.filter((s) => isParam(s)).length
+  const numberOfParameterSegments = routeSegments.filter((s) => isParam(s) && !isOptionalParam(s)).length
+  const numberOfOptionalParameterSegments = routeSegments.filter((s) => isOptionalParam(s)).length
+  const numberOfConstrainedParameterSegments = routeSegments.filter((s) => !!parseParam(s)?.constraint).length
 
-  const isCatchAll = routeString.endsWith('*')
+  const isCatchAll = routeString === '*' || routeString.endsWith('/*')
 
-  return { numberOfParameterSegments, numberOfStaticSegmentsBeginning, numberOfStaticSegements, isCatchAll }
+  return {
+    numberOfParameterSegments,
+    numberOfOptionalParameterSegments,
+    numberOfConstrainedParameterSegments,
+    numberOfStaticSegmentsBeginning,
+    numberOfStaticSegements,
+    isCatchAll
+  }
 }
 
 function isParam(routeSegment: string) {
   return routeSegment.startsWith(PARAM_TOKEN_NEW) || routeSegment.startsWith(PARAM_TOKEN_OLD)
 }
+function isOptionalParam(routeSegment: string) {
+  return !!parseParam(routeSegment)?.isOptional
+}
+
+// `@id(\d+)` or `@id:int`, and optionally followed by `?`
+function parseParam(
+  routeSegment: string,
+  routeString = routeSegment
+): null | { paramName: string; isOptional: boolean; constraint: null | RegExp; coerce: null | Coerce } {
+  if (!isParam(routeSegment)) {
+    return null
+  }
+  let paramDef = routeSegment.slice(1)
+  const isOptional = paramDef.endsWith('?')
+  if (isOptional) {
+    paramDef = paramDef.slice(0, -1)
+  }
+
+  const regexStart = paramDef.indexOf('(')
+  if (regexStart !== -1) {
+    assertUsage(
+      paramDef.endsWith(')'),
+      `Invalid route string \`${routeString}\`: the regular expression of the parameter \`${routeSegment}\` should be wrapped in parentheses, e.g. \`@id(\\d+)\`.`
+    )
+    const paramName = paramDef.slice(0, regexStart)
+    let constraint: RegExp
+    try {
+      constraint = new RegExp(`^(?:${paramDef.slice(regexStart + 1, -1)})$`)
+    } catch (err) {
+      assertUsage(
+        false,
+        `Invalid route string \`${routeString}\`: the regular expression of the parameter \`${routeSegment}\` is invalid: ${
+          (err as Error).message
+        }`
+      )
+    }
+    return { paramName, isOptional, constraint, coerce: null }
+  }
+
+  const matcherStart = paramDef.indexOf(':')
+  if (matcherStart !== -1) {
+    const paramName = paramDef.slice(0, matcherStart)
+    const matcherName = paramDef.slice(matcherStart + 1)
+    const matcherNames = Object.keys(paramMatchers)
+    assertUsage(
+      isParamMatcherName(matcherName),
+      `Invalid route string \`${routeString}\`: unknown parameter matcher \`${matcherName}\`, use one of: ${matcherNames
+        .map((name) => `\`${name}\``)
+        .join(', ')}.`
+    )
+    const { constraint, coerce } = paramMatchers[matcherName]
+    return { paramName, isOptional, constraint, coerce }
+  }
+
+  return { paramName: paramDef, isOptional, constraint: null, coerce: null }
+}
+
+type Coerce = (paramValue: string) => number | boolean
+const paramMatchers = {
+  int: { constraint: /^-?\d+$/, coerce: (paramValue: string) => parseInt(paramValue, 10) },
+  float: { constraint: /^-?\d+(\.\d+)?$/, coerce: (paramValue: string) => parseFloat(paramValue) },
+  boolean: { constraint: /^(true|false)$/, coerce: (paramValue: string) => paramValue === 'true' },
+  uuid: { constraint: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, coerce: null }
+}
+function isParamMatcherName(matcherName: string): matcherName is keyof typeof paramMatchers {
+  return matcherName in paramMatchers
+}
+
+// `@id:int` => `routeParamsCoerced.id` is a number, whereas `routeParams.id` is always a string
+function getRouteParamsCoerced(routeString: string, routeParams: Record<string, string>): RouteParamsCoerced {
+  const routeParamsCoerced: RouteParamsCoerced = { ...routeParams }
+  routeString.split('/').forEach((routeSegment) => {
+    const param = parseParam(routeSegment)
+    if (!param?.coerce) return
+    const paramValue = routeParams[param.paramName]
+    if (paramValue === undefined) return
+    routeParamsCoerced[param.paramName] = param.coerce(paramValue)
+  })
+  return routeParamsCoerced
+}
 
 function isStaticRouteString(routeString: string): boolean {
-  const url = routeString
-  const match = resolveRouteString(routeString, url)
-  assert(match)
-  return Object.keys(match.routeParams).length === 0
+  return routeString.split('/').every((routeSegment) => !isParam(routeSegment) && routeSegment !== '*')
 }
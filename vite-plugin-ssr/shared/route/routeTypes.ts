@@ -0,0 +1,48 @@
+export type { PageId }
+export type { RouteParams }
+export type { PageUrl }
+export type { PageContextWithRouteParams }
+
+import type { PageContextBuiltIn } from '../types'
+
+// The interface `VitePluginSsr.Routes` is empty, unless the user generates a `.d.ts` file with the `routeTypes` config, e.g.:
+// ```ts
+// declare global {
+//   namespace VitePluginSsr {
+//     interface Routes {
+//       '/pages/product': { id: string }
+//     }
+//   }
+// }
+// ```
+declare global {
+  namespace VitePluginSsr {
+    interface Routes {}
+  }
+}
+
+type Routes = keyof VitePluginSsr.Routes extends never ? Record<string, Record<string, string>> : VitePluginSsr.Routes
+
+/** The ID of a page, e.g. `/pages/product` for `/pages/product.page.js` */
+type PageId = keyof Routes & string
+
+/** The `pageContext.routeParams` of a page, e.g. `RouteParams<'/pages/product'>` is `{ id: string }` for the Route String `/product/@id` (needs the `routeTypes` config) */
+type RouteParams<Id extends PageId> = Routes[Id]
+
+/** A page and the parameters of its URL, see `getUrl()` */
+type PageUrl = {
+  [Id in PageId]: {
+    pageId: Id
+    routeParams?: RouteParams<Id>
+    search?: Record<string, string>
+    hash?: string
+  }
+}[PageId]
+
+/** The `pageContext` of a page with typed `pageContext.routeParams`, e.g. `PageContextWithRouteParams<'/pages/product'>` (needs the `routeTypes` config). Use the second parameter for the client-side `pageContext`, e.g. `PageContextWithRouteParams<'/pages/product', PageContextBuiltInClient>`. */
+type PageContextWithRouteParams<Id extends PageId, PageContext = PageContextBuiltIn> = Omit<
+  PageContext,
+  'routeParams'
+> & {
+  routeParams: RouteParams<Id>
+}
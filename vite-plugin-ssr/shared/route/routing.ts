@@ -1 +1,4 @@
 export { resolveRoute } from './resolveRoute'
+export { getUrl } from './getUrl'
+export type { PageId, RouteParams, PageUrl, PageContextWithRouteParams } from './routeTypes'
+export { RenderRedirect } from '../RenderRedirect'
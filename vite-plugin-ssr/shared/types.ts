@@ -3,8 +3,12 @@ import type { PageContextUrls } from './addComputedUrlProps'
 export type PageContextBuiltIn<Page = any> = {
   /** The `export { Page }` of your `.page.js` file, see https://vite-plugin-ssr.com/Page */
   Page: Page
-  /** Route Parameters, e.g. `pageContext.routeParams.productId` for a Route String `/product/@productId`, see https://vite-plugin-ssr.com/route-string */
+  /** Route Parameters, e.g. `pageContext.routeParams.productId` for a Route String `/product/@productId`, see https://vite-plugin-ssr.com/route-string. Use `PageContextWithRouteParams` of `vite-plugin-ssr/routing` for typed Route Parameters. */
   routeParams: Record<string, string>
+  /** Same as `pageContext.routeParams` but with the values of parameters such as `@id:int` or `@published:boolean` converted to numbers and booleans, see https://vite-plugin-ssr.com/route-string */
+  routeParamsCoerced: Record<string, string | number | boolean>
+  /** The Route String that matched the URL, e.g. `/about-us` for `export default ['/about', '/about-us']`. It's `null` for Route Functions. */
+  routeString: null | string
   /** Custom Exports/Hooks, see https://vite-plugin-ssr.com/exports */
   exports: Record<string, unknown>
   /** Same as `pageContext.exports` but cumulative */
@@ -13,8 +17,16 @@ export type PageContextBuiltIn<Page = any> = {
   url: string
   /** The URL of the current page */
   urlOriginal: string
+  /** The HTTP method of the request, e.g. `'POST'` for a form submission. Always `'GET'` for client-side navigation. */
+  httpMethod: string
   /** If an error occurs, whether the error is a `404 Page Not Found` or a `500 Internal Server Error`, see https://vite-plugin-ssr.com/error-page */
   is404?: boolean
+  /** The HTTP status code of the error page, e.g. `401` upon `throw RenderErrorPage({ statusCode: 401 })`, see https://vite-plugin-ssr.com/error-page */
+  statusCode?: number
+  /** The HTTP response headers set by `onBeforeRender()` or `render()`, e.g. `return { pageContext: { headersResponse: { 'Cache-Control': 'no-cache' } } }`, which end up in `pageContext.httpResponse.headers`, see https://vite-plugin-ssr.com/headers. (It isn't named `pageContext.headers` because that's commonly used for the HTTP request headers, e.g. `renderPage({ urlOriginal, headers: req.headers })`.) */
+  headersResponse?: Record<string, string | string[]>
+  /** Aborted when the HTTP request is cancelled, when a hook times out, or (client-side) when the user navigates away before rendering finishes. Pass it on to `fetch()` and other abortable APIs. */
+  abortSignal?: AbortSignal
   /** @deprecated */
   pageExports: Record<string, unknown>
 } & PageContextUrls
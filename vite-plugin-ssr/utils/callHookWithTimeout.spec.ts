@@ -0,0 +1,38 @@
+import { callHookWithTimeout, isHooksTimeout } from './callHookWithTimeout'
+import { expect, describe, it } from 'vitest'
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms))
+const slowHook = async () => {
+  await sleep(50)
+  return 'done'
+}
+
+describe('callHookWithTimeout()', () => {
+  it('custom timeouts', async () => {
+    await expect(
+      callHookWithTimeout(slowHook, 'render', '/renderer/_default.page.server.js', {
+        hooksTimeout: [{ render: { error: 10, warning: false } }]
+      })
+    ).rejects.toThrow("Hook timeout: the render() hook of /renderer/_default.page.server.js didn't finish")
+  })
+  it('precedence', async () => {
+    expect(
+      await callHookWithTimeout(slowHook, 'render', '/pages/index.page.server.js', {
+        hooksTimeout: [{ render: false }, { render: { error: 10 } }]
+      })
+    ).toBe('done')
+    expect(
+      await callHookWithTimeout(slowHook, 'render', '/pages/index.page.server.js', {
+        hooksTimeout: [undefined, null, false]
+      })
+    ).toBe('done')
+  })
+  it('isHooksTimeout()', () => {
+    expect(isHooksTimeout(false)).toBe(true)
+    expect(isHooksTimeout({ onBeforeRender: { error: 2000, warning: 500 }, onBeforePrerender: false })).toBe(true)
+    expect(isHooksTimeout({ onBeforeRender: 2000 })).toBe(false)
+    expect(isHooksTimeout({ onBeforeRender: { error: -1 } })).toBe(false)
+    expect(isHooksTimeout({ onRenderHtml: false })).toBe(false)
+    expect(isHooksTimeout(true)).toBe(false)
+  })
+})
@@ -1,12 +1,44 @@
 export { callHookWithTimeout }
+export { isHooksTimeout }
+export type { HooksTimeout }
 
 import { errorPrefix, getProjectError } from './assert'
 import { humanizeTime } from './humanizeTime'
+import { isObject } from './isObject'
 
-type HookName = 'render' | 'onBeforeRender' | 'onBeforePrerender' | 'onBeforeRoute' | 'onHydrationEnd'
+const hookNames = [
+  'render',
+  'guard',
+  'onBeforeRender',
+  'onBeforePrerender',
+  'onBeforeRoute',
+  'onHydrationEnd',
+  // HTTP method handlers of `.page.api.js` files
+  'GET',
+  'HEAD',
+  'POST',
+  'PUT',
+  'PATCH',
+  'DELETE',
+  'OPTIONS'
+] as const
+type HookName = typeof hookNames[number]
+type HookTimeout = { error?: number | false; warning?: number | false }
+type HooksTimeout = false | Partial<Record<HookName, false | HookTimeout>>
 
-function callHookWithTimeout<T>(call: () => T, hookName: HookName, hookFilePath: string): Promise<T> {
-  const { timeoutErr, timeoutWarn } = getTimeouts(hookName)
+function callHookWithTimeout<T>(
+  call: () => T,
+  hookName: HookName,
+  hookFilePath: string,
+  options: {
+    // Aborted upon timeout, so that the hook can stop its work (e.g. cancel its pending database queries)
+    abortController?: null | AbortController
+    // Ordered by precedence, e.g. `[pageContext.exports.hooksTimeout, config.hooksTimeout]`
+    hooksTimeout?: (undefined | null | HooksTimeout)[]
+  } = {}
+): Promise<T> {
+  const { abortController } = options
+  const { timeoutErr, timeoutWarn } = getTimeouts(hookName, options.hooksTimeout ?? [])
 
   let resolve!: (ret: T) => void
   let reject!: (err: unknown) => void
@@ -22,21 +54,26 @@ function callHookWithTimeout<T>(call: () => T, hookName: HookName, hookFilePath:
   })
 
   const clearTimeouts = () => {
-    clearTimeout(t1)
-    clearTimeout(t2)
+    if (t1 !== false) clearTimeout(t1)
+    if (t2 !== false) clearTimeout(t2)
   }
-  const t1 = setTimeout(() => {
-    const msg = `${errorPrefix}[Warning] The ${hookName}() hook of ${hookFilePath} is taking more than ${humanizeTime(
-      timeoutWarn
-    )}`
-    console.warn(msg)
-  }, timeoutWarn)
-  const t2 = setTimeout(() => {
-    const err = getProjectError(
-      `Hook timeout: the ${hookName}() hook of ${hookFilePath} didn't finish after ${humanizeTime(timeoutErr)}`
-    )
-    reject(err)
-  }, timeoutErr)
+  const t1 =
+    timeoutWarn !== false &&
+    setTimeout(() => {
+      const msg = `${errorPrefix}[Warning] The ${hookName}() hook of ${hookFilePath} is taking more than ${humanizeTime(
+        timeoutWarn
+      )}`
+      console.warn(msg)
+    }, timeoutWarn)
+  const t2 =
+    timeoutErr !== false &&
+    setTimeout(() => {
+      const err = getProjectError(
+        `Hook timeout: the ${hookName}() hook of ${hookFilePath} didn't finish after ${humanizeTime(timeoutErr)}`
+      )
+      reject(err)
+      abortController?.abort()
+    }, timeoutErr)
 
   ;(async () => {
     try {
@@ -50,7 +87,24 @@ function callHookWithTimeout<T>(call: () => T, hookName: HookName, hookFilePath:
   return promise
 }
 
-function getTimeouts(hookName: HookName) {
+function getTimeouts(hookName: HookName, hooksTimeoutList: (undefined | null | HooksTimeout)[]) {
+  let timeoutErr: undefined | number | false
+  let timeoutWarn: undefined | number | false
+  hooksTimeoutList.forEach((hooksTimeout) => {
+    if (hooksTimeout === undefined || hooksTimeout === null) return
+    const hookTimeout = hooksTimeout === false ? false : hooksTimeout[hookName]
+    if (hookTimeout === undefined) return
+    if (timeoutErr === undefined) timeoutErr = hookTimeout === false ? false : hookTimeout.error
+    if (timeoutWarn === undefined) timeoutWarn = hookTimeout === false ? false : hookTimeout.warning
+  })
+  const timeoutsDefault = getTimeoutsDefault(hookName)
+  return {
+    timeoutErr: timeoutErr ?? timeoutsDefault.timeoutErr,
+    timeoutWarn: timeoutWarn ?? timeoutsDefault.timeoutWarn
+  }
+}
+
+function getTimeoutsDefault(hookName: HookName) {
   let timeoutErr = 20 * 1000
   let timeoutWarn = 4 * 1000
   if (hookName === 'onBeforeRoute') {
@@ -63,3 +117,18 @@ function getTimeouts(hookName: HookName) {
   }
   return { timeoutErr, timeoutWarn }
 }
+
+// E.g. `{ onBeforeRender: { error: 2000, warning: 500 }, onBeforePrerender: false }`, or `false` to disable all hook timeouts
+function isHooksTimeout(hooksTimeout: unknown): hooksTimeout is HooksTimeout {
+  if (hooksTimeout === false) return true
+  if (!isObject(hooksTimeout)) return false
+  return Object.entries(hooksTimeout).every(([hookName, hookTimeout]) => {
+    if (!(hookNames as readonly string[]).includes(hookName)) return false
+    if (hookTimeout === false) return true
+    if (!isObject(hookTimeout)) return false
+    return Object.entries(hookTimeout).every(
+      ([key, value]) =>
+        ['error', 'warning'].includes(key) && (value === false || (typeof value === 'number' && value >= 0))
+    )
+  })
+}
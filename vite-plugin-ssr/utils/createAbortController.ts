@@ -0,0 +1,37 @@
+export { createAbortController }
+export { forwardAbort }
+export { isAbortSignal }
+
+import { assertUsage } from './assert'
+import { isCallable } from './isCallable'
+
+// `AbortController` isn't available in older environments (e.g. Node.js 14)
+function createAbortController(): null | AbortController {
+  if (typeof AbortController === 'undefined') return null
+  return new AbortController()
+}
+
+// Aborts `abortController` when `abortSignalParent` is aborted. The returned function removes the listener and should be called once the work is done: a long-lived parent signal (e.g. a server-wide signal) would otherwise keep every `abortController` in memory.
+function forwardAbort(abortSignalParent: unknown, abortController: AbortController): () => void {
+  assertUsage(
+    isAbortSignal(abortSignalParent),
+    '`pageContextInit.abortSignal` should be an `AbortSignal`, e.g. `new AbortController().signal`.'
+  )
+  if (abortSignalParent.aborted) {
+    abortController.abort()
+    return () => {}
+  }
+  const onAbort = () => abortController.abort()
+  abortSignalParent.addEventListener('abort', onAbort, { once: true })
+  return () => abortSignalParent.removeEventListener('abort', onAbort)
+}
+
+function isAbortSignal(thing: unknown): thing is AbortSignal {
+  return (
+    typeof thing === 'object' &&
+    thing !== null &&
+    typeof (thing as Record<string, unknown>).aborted === 'boolean' &&
+    isCallable((thing as Record<string, unknown>).addEventListener) &&
+    isCallable((thing as Record<string, unknown>).removeEventListener)
+  )
+}